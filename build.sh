@@ -41,21 +41,52 @@ function RequireCommand()
     fi
 }
 
+function CompileTranslations()
+{
+    RequireCommand "msgfmt" "Install gettext (NixOS: nix shell nixpkgs#gettext)"
+    rm -rf locale/
+    for po in po/*.po; do
+        [[ -f "$po" ]] || continue
+        lang="$(basename "$po" .po)"
+        mkdir -p "locale/$lang/LC_MESSAGES"
+        msgfmt --check -o "locale/$lang/LC_MESSAGES/kbd-informer.mo" "$po"
+    done
+}
+
+function UpdateTranslations()
+{
+    RequireCommand "xgettext" "Install gettext (NixOS: nix shell nixpkgs#gettext)"
+    xgettext --from-code=UTF-8 --files-from=po/POTFILES \
+        --keyword=_ --keyword=N_ --keyword=ngettext:1,2 \
+        --package-name=kbd-informer \
+        --msgid-bugs-address=https://github.com/tomasmark79/kbd-informer/issues \
+        --add-comments=Translators \
+        -o po/kbd-informer.pot
+    for po in po/*.po; do
+        [[ -f "$po" ]] || continue
+        msgmerge --quiet --update --backup=none "$po" po/kbd-informer.pot
+    done
+}
+
 function Help()
 {
-    echo "Usage: $(basename $0) [-bilr]"
+    echo "Usage: $(basename $0) [-bilrtu]"
     echo "  -b  build the extension"
     echo "  -i  install the extension"
     echo "  -l  log out gnome session afterwards"
     echo "  -r  build release zip with validation"
+    echo "  -t  run the test suite"
+    echo "  -u  update the translation template and catalogs in po/"
 }
 
 build=""
 install=""
 logout=""
 release=""
+tests=""
+update=""
 
-while getopts ":bilr" option; do
+while getopts ":bilrtu" option; do
     case $option in
     b)
         build=1;;
@@ -65,6 +96,10 @@ while getopts ":bilr" option; do
         logout=1;;
     r)
         release=1;;
+    t)
+        tests=1;;
+    u)
+        update=1;;
     *)
         Help
         exit
@@ -73,11 +108,26 @@ while getopts ":bilr" option; do
 done
 
 # If no options provided, show help
-if [[ -z "$build" && -z "$install" && -z "$logout" && -z "$release" ]]; then
+if [[ -z "$build" && -z "$install" && -z "$logout" && -z "$release" && -z "$tests" && -z "$update" ]]; then
     Help
     exit 0
 fi
 
+# Refresh the template and merge it into the existing catalogs
+if [[ $update ]]; then
+    echo "Updating translations..."
+    UpdateTranslations
+    echo "✓ Translations updated"
+fi
+
+# Run the tests of the shell-independent modules in lib/
+if [[ $tests ]]; then
+    echo "Running tests..."
+    RequireCommand "gjs" "Install gjs (NixOS: nix shell nixpkgs#gjs)"
+    RequireCommand "glib-compile-schemas" "Install glib.dev (NixOS: nix shell nixpkgs#glib.dev)"
+    gjs -m tests/run.js
+fi
+
 # Build release version with validation
 if [[ $release ]]; then
     echo -e "${BLUE}GNOME Shell Extension Release Builder${NC}"
@@ -134,6 +184,16 @@ if [[ $release ]]; then
         fi
     fi
 
+    # Compile translations if present
+    if [[ -d "po" ]]; then
+        echo -e "${YELLOW}Compiling translations...${NC}"
+        if ! CompileTranslations; then
+            echo -e "${RED}Error: Failed to compile translations!${NC}"
+            exit 1
+        fi
+        echo -e "${GREEN}✓${NC} Translations compiled successfully"
+    fi
+
     # Remove old zip file
     [[ -f "$ZIP_NAME" ]] && rm "$ZIP_NAME"
 
@@ -144,6 +204,10 @@ if [[ $release ]]; then
     [[ -f "prefs.js" ]] && FILES_TO_ZIP+=("prefs.js")
     [[ -f "stylesheet.css" ]] && FILES_TO_ZIP+=("stylesheet.css")
     [[ -d "schemas" ]] && FILES_TO_ZIP+=("schemas/")
+    [[ -d "icons" ]] && FILES_TO_ZIP+=("icons/")
+    [[ -d "lib" ]] && FILES_TO_ZIP+=("lib/")
+    [[ -d "dbus-interfaces" ]] && FILES_TO_ZIP+=("dbus-interfaces/")
+    [[ -d "locale" ]] && FILES_TO_ZIP+=("locale/")
 
     zip -r "$ZIP_NAME" "${FILES_TO_ZIP[@]}" \
         -x "schemas/.git*" -x ".git*" -x "*.po" -x "*.pot" \
@@ -165,6 +229,12 @@ if [[ $build ]]; then
         glib-compile-schemas schemas/
     fi
 
+    # Compile translations if present
+    if [[ -d "po" ]]; then
+        echo "Compiling translations..."
+        CompileTranslations
+    fi
+
     # Remove old zip
     rm -f "$ZIP_NAME"
 
@@ -176,6 +246,10 @@ if [[ $build ]]; then
         prefs.js \
         stylesheet.css \
         schemas/ \
+        icons/ \
+        lib/ \
+        dbus-interfaces/ \
+        locale/ \
         -x "schemas/.git*" -x ".git*" \
         -x "schemas/gschemas.compiled" \
         > /dev/null
@@ -0,0 +1,53 @@
+#!/usr/bin/env bash
+
+
+# Copyright (C) 2025 Tomáš Mark
+
+# This program is free software: you can redistribute it and/or modify
+# it under the terms of the GNU General Public License as published by
+# the Free Software Foundation, either version 3 of the License, or
+# (at your option) any later version.
+
+# This program is distributed in the hope that it will be useful,
+# but WITHOUT ANY WARRANTY; without even the implied warranty of
+# MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+# GNU General Public License for more details.
+
+# You should have received a copy of the GNU General Public License
+# along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+# Small example client for the D-Bus interface of the extension,
+# see dbus-interfaces/org.gnome.Shell.Extensions.KbdInformer.xml
+
+set -e
+
+DEST="org.gnome.Shell"
+OBJECT_PATH="/org/gnome/Shell/Extensions/KbdInformer"
+INTERFACE="org.gnome.Shell.Extensions.KbdInformer"
+
+function Help()
+{
+    echo "Usage: $(basename $0) <command>"
+    echo "  status               print all properties"
+    echo "  get <property>       print one property, e.g. CapsLock"
+    echo "  monitor              print modifier changes as they happen"
+    echo "  osd <title> <status> show the modifier OSD"
+}
+
+case "$1" in
+status)
+    gdbus call --session --dest "$DEST" --object-path "$OBJECT_PATH" \
+        --method org.freedesktop.DBus.Properties.GetAll "$INTERFACE";;
+get)
+    [[ -z "$2" ]] && { Help; exit 1; }
+    gdbus call --session --dest "$DEST" --object-path "$OBJECT_PATH" \
+        --method org.freedesktop.DBus.Properties.Get "$INTERFACE" "$2";;
+monitor)
+    gdbus monitor --session --dest "$DEST" --object-path "$OBJECT_PATH";;
+osd)
+    [[ $# -lt 3 ]] && { Help; exit 1; }
+    gdbus call --session --dest "$DEST" --object-path "$OBJECT_PATH" \
+        --method "$INTERFACE.ShowOSD" "$2" "$3" > /dev/null;;
+*)
+    Help;;
+esac
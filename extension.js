@@ -18,88 +18,153 @@ along with this program.  If not, see <http://www.gnu.org/licenses/>.
 import St from 'gi://St';
 import Clutter from 'gi://Clutter';
 import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
 import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
 import * as Config from 'resource:///org/gnome/shell/misc/config.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as Layout from 'resource:///org/gnome/shell/ui/layout.js';
-import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as Keyboard from 'resource:///org/gnome/shell/ui/status/keyboard.js';
+import { Extension, gettext as _, ngettext } from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import {
+    MODIFIER_MASKS, MODIFIER_KEYS, MODIFIER_KEY_NAMES, MODIFIER_NAMES, ALL_MODIFIERS_MASK,
+    LOCK_MODIFIERS_MASK, STICKY_MODIFIERS_MASK, STICKY_STATE, ModifierStateTracker,
+} from './lib/modifiers.js';
+import { LockChangeCollector, buildLockLeds, selectNotifications } from './lib/notifications.js';
+import { buildIndicatorSymbols } from './lib/indicator.js';
+import { findShortcuts } from './lib/shortcuts.js';
+import { StatisticsCounter } from './lib/statistics.js';
 
 const LOG_TAG = 'KMS-Ext:';
-const UPDATE_INTERVAL_MS = 200;
-const OSD_HIDE_TIMEOUT_MS = 1500;
-const OSD_FADE_TIME_MS = 100;
-const SHOW_OSD_ICON = true; // Set to true to show icon in OSD
+
+// Marks strings for translation that are translated where they are shown
+const N_ = s => s;
+const UPDATE_INTERVAL_MS = 200; // Polling fallback when keymap signals are missing
+const OSD_ICON_SIZE = 24;
+const OWN_TOGGLE_TIMEOUT_US = 1000000; // How long a lock toggle of the extension waits for its state change
 
 console.debug(`${LOG_TAG} Shell version: ${Config.PACKAGE_VERSION}`);
 
-const MODIFIER_MASKS = {
-    SHIFT: Clutter.ModifierType.SHIFT_MASK,
-    LOCK: Clutter.ModifierType.LOCK_MASK,
-    CONTROL: Clutter.ModifierType.CONTROL_MASK,
-    MOD1: Clutter.ModifierType.MOD1_MASK,
-    MOD2: Clutter.ModifierType.MOD2_MASK,
-    MOD3: Clutter.ModifierType.MOD3_MASK,
-    MOD4: Clutter.ModifierType.MOD4_MASK,
-    MOD5: Clutter.ModifierType.MOD5_MASK,
+// Lock modifiers and the keys that toggle them
+const LOCK_KEYVALS = new Map([
+    [MODIFIER_MASKS.LOCK, Clutter.KEY_Caps_Lock],
+    [MODIFIER_MASKS.MOD2, Clutter.KEY_Num_Lock],
+    [MODIFIER_MASKS.MOD3, Clutter.KEY_Scroll_Lock],
+]);
+
+const PANEL_ACTION_LOCKS = {
+    'toggle-caps': MODIFIER_MASKS.LOCK,
+    'toggle-num': MODIFIER_MASKS.MOD2,
+    'toggle-scroll': MODIFIER_MASKS.MOD3,
 };
 
-class ModifierStateTracker {
-    constructor() {
-        this.reset();
-    }
-
-    reset() {
-        this.currentState = 0;
-        this.previousState = null;
-    }
-
-    updateState(newState) {
-        this.previousState = this.currentState;
-        this.currentState = newState;
-    }
+// Alignment of the OSD on the monitor for each osd-position value, [x, y]
+const OSD_ANCHORS = {
+    'top-left': [Clutter.ActorAlign.START, Clutter.ActorAlign.START],
+    'top-center': [Clutter.ActorAlign.CENTER, Clutter.ActorAlign.START],
+    'top-right': [Clutter.ActorAlign.END, Clutter.ActorAlign.START],
+    'center-left': [Clutter.ActorAlign.START, Clutter.ActorAlign.CENTER],
+    'center': [Clutter.ActorAlign.CENTER, Clutter.ActorAlign.CENTER],
+    'center-right': [Clutter.ActorAlign.END, Clutter.ActorAlign.CENTER],
+    'bottom-left': [Clutter.ActorAlign.START, Clutter.ActorAlign.END],
+    'bottom-center': [Clutter.ActorAlign.CENTER, Clutter.ActorAlign.END],
+    'bottom-right': [Clutter.ActorAlign.END, Clutter.ActorAlign.END],
+};
 
-    hasStateChanged() {
-        return this.currentState !== this.previousState;
+// Turns an offset from the anchor into CSS margins. A margin on one side of
+// a centered actor only moves it by half, hence the doubling.
+function getOffsetMargins(align, offset, startSide, endSide) {
+    switch (align) {
+        case Clutter.ActorAlign.START:
+            return `margin-${startSide}: ${offset}em;`;
+        case Clutter.ActorAlign.END:
+            return `margin-${endSide}: ${offset}em;`;
+        default:
+            return offset >= 0
+                ? `margin-${startSide}: ${offset * 2}em;`
+                : `margin-${endSide}: ${-offset * 2}em;`;
     }
+}
 
-    isModifierActive(mask) {
-        return (this.currentState & mask) !== 0;
+// Inline style for user-picked colors; empty colors leave the theme in charge
+function getColorStyle({ foreground = '', background = '' } = {}) {
+    let style = '';
+    if (foreground) {
+        style += `color: ${foreground};`;
     }
-
-    getModifierChangeInfo(mask) {
-        if (this.previousState === null) return null;
-
-        const wasActive = (this.previousState & mask) !== 0;
-        const isActive = (this.currentState & mask) !== 0;
-
-        if (wasActive !== isActive) {
-            return { wasActive, isActive };
-        }
-        return null;
+    if (background) {
+        style += `background-color: ${background}; border-radius: 3px; padding: 0 2px;`;
     }
+    return style || null;
 }
 
+// Key events carry the state from before the key was pressed or released,
+// so the modifier belonging to the key itself has to be applied manually
+const KEYVAL_MODIFIER_MASKS = new Map([
+    [Clutter.KEY_Shift_L, MODIFIER_MASKS.SHIFT],
+    [Clutter.KEY_Shift_R, MODIFIER_MASKS.SHIFT],
+    [Clutter.KEY_Control_L, MODIFIER_MASKS.CONTROL],
+    [Clutter.KEY_Control_R, MODIFIER_MASKS.CONTROL],
+    [Clutter.KEY_Alt_L, MODIFIER_MASKS.MOD1],
+    [Clutter.KEY_Alt_R, MODIFIER_MASKS.MOD1],
+    [Clutter.KEY_Meta_L, MODIFIER_MASKS.MOD1],
+    [Clutter.KEY_Meta_R, MODIFIER_MASKS.MOD1],
+    [Clutter.KEY_Super_L, MODIFIER_MASKS.MOD4],
+    [Clutter.KEY_Super_R, MODIFIER_MASKS.MOD4],
+    [Clutter.KEY_ISO_Level3_Shift, MODIFIER_MASKS.MOD5],
+]);
+
 class SettingsManager {
     constructor(extension) {
         this._extension = extension;
         this._settings = null;
         this._settingsChangedId = null;
+        this._a11ySettings = null;
+        this._a11ySettingsChangedId = null;
+        this.stickyKeysEnabled = false;
         this.symbols = {
-            modifiers: []
+            mode: 'text',
+            modifiers: [],
+            icons: new Map(),
+            colors: new Map()
+        };
+        this.notifications = [];
+        this.osd = {};
+        this.panelActions = {};
+        this.panelPlacement = {};
+        this.panelSymbols = {};
+        this.screencast = {};
+        this.statistics = {};
+        this.capsRelease = {};
+        this.appLocks = {};
+        this.lockSounds = {};
+        this.capsTyping = {};
+        this.shortcutOverlay = {};
+        this.layout = {
+            show: true,
+            showOsd: true,
+            shortNames: {}
         };
     }
 
     initialize() {
         this._settings = this._extension.getSettings();
+        this._a11ySettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.a11y.keyboard' });
         this.loadSettings();
 
-        this._settingsChangedId = this._settings.connect('changed', () => {
+        const onChanged = () => {
             this.loadSettings();
             // Notify extension of settings change
             if (this.onSettingsChanged) {
                 this.onSettingsChanged();
             }
-        });
+        };
+        this._settingsChangedId = this._settings.connect('changed', onChanged);
+        this._a11ySettingsChangedId = this._a11ySettings.connect('changed::stickykeys-enable', onChanged);
     }
 
     loadSettings() {
@@ -108,16 +173,131 @@ class SettingsManager {
             return;
         }
 
-        this.symbols.modifiers = [
-            [MODIFIER_MASKS.SHIFT, this._settings.get_string('shift-symbol')],
-            [MODIFIER_MASKS.LOCK, this._settings.get_string('caps-symbol')],
-            [MODIFIER_MASKS.CONTROL, this._settings.get_string('control-symbol')],
-            [MODIFIER_MASKS.MOD1, this._settings.get_string('alt-symbol')],
-            [MODIFIER_MASKS.MOD2, this._settings.get_string('num-symbol')],
-            [MODIFIER_MASKS.MOD3, this._settings.get_string('scroll-symbol')],
-            [MODIFIER_MASKS.MOD4, this._settings.get_string('super-symbol')],
-            [MODIFIER_MASKS.MOD5, this._settings.get_string('altgr-symbol')],
-        ];
+        this.symbols.mode = this._settings.get_string('display-mode');
+        this.symbols.modifiers = MODIFIER_KEYS.map(([mask, name]) =>
+            [mask, this._settings.get_string(`${name}-symbol`)]
+        );
+        this.symbols.icons = new Map(MODIFIER_KEYS.map(([mask, name]) =>
+            [mask, this._getIcon(this._settings.get_string(`${name}-icon`))]
+        ));
+        this.symbols.colors = new Map(MODIFIER_KEYS.map(([mask, name]) => [mask, {
+            foreground: this._settings.get_string(`${name}-color`),
+            background: this._settings.get_string(`${name}-background`),
+        }]));
+
+        this.notifications = MODIFIER_KEYS.map(([mask, name]) => [mask, {
+            policy: this._settings.get_string(`${name}-notify`),
+            title: this._settings.get_string(`${name}-osd-title`),
+        }]);
+
+        this.osd = {
+            position: this._settings.get_string('osd-position'),
+            offsetX: this._settings.get_double('osd-offset-x'),
+            offsetY: this._settings.get_double('osd-offset-y'),
+            hideTimeout: this._settings.get_uint('osd-hide-timeout'),
+            fadeTime: this._settings.get_uint('osd-fade-time'),
+            showIcon: this._settings.get_boolean('osd-show-icon'),
+            iconName: this._settings.get_string('osd-icon-name'),
+            fontScale: this._settings.get_double('osd-font-scale'),
+            monitor: this._settings.get_string('osd-monitor'),
+            layout: this._settings.get_string('osd-layout'),
+            mergeTime: this._settings.get_uint('osd-merge-time'),
+        };
+
+        this.panelActions = {
+            leftClick: this._settings.get_string('left-click-action'),
+            middleClick: this._settings.get_string('middle-click-action'),
+            scroll: this._settings.get_string('scroll-action'),
+        };
+
+        this.panelSymbols = {
+            mode: this._settings.get_string('panel-symbols'),
+            hiddenMask: MODIFIER_KEYS.reduce((hidden, [mask, name]) =>
+                this._settings.get_boolean(`${name}-panel-visible`) ? hidden : hidden | mask, 0),
+        };
+
+        this.panelPlacement = {
+            box: this._settings.get_string('panel-box'),
+            position: this._settings.get_int('panel-position'),
+        };
+
+        this.stickyKeysEnabled = this._a11ySettings.get_boolean('stickykeys-enable');
+
+        this.capsRelease = {
+            timeout: this._settings.get_uint('caps-release-timeout'),
+            onFocusChange: this._settings.get_boolean('caps-release-on-focus-change'),
+            onLock: this._settings.get_boolean('caps-release-on-lock'),
+        };
+
+        this.shortcutOverlay = {
+            enabled: this._settings.get_boolean('shortcut-overlay-enabled'),
+            delay: this._settings.get_uint('shortcut-overlay-delay'),
+            fontScale: this._settings.get_double('osd-font-scale'),
+        };
+
+        this.capsTyping = {
+            enabled: this._settings.get_boolean('caps-typing-warning'),
+            letters: this._settings.get_uint('caps-typing-letters'),
+            shiftedLetters: this._settings.get_uint('caps-typing-shifted-letters'),
+        };
+
+        this.lockSounds = {
+            enabled: this._settings.get_boolean('lock-sound-enabled'),
+            onlyWhenOsdSuppressed: this._settings.get_boolean('lock-sound-only-when-osd-suppressed'),
+            volume: this._settings.get_uint('lock-sound-volume'),
+            sounds: [...LOCK_KEYVALS.keys()].map(mask => {
+                const name = MODIFIER_KEY_NAMES.get(mask);
+                return [mask, {
+                    on: this._settings.get_string(`${name}-sound-on`),
+                    off: this._settings.get_string(`${name}-sound-off`),
+                }];
+            }),
+        };
+
+        const rules = this._settings.get_value('app-lock-rules').deep_unpack();
+        this.appLocks = {
+            memory: this._settings.get_boolean('app-lock-memory'),
+            rules: new Map(Object.entries(rules).map(([appId, locks]) => [appId.toLowerCase(), locks])),
+        };
+
+        this.statistics = {
+            enabled: this._settings.get_boolean('statistics-enabled'),
+            accidentalThreshold: this._settings.get_uint('statistics-accidental-threshold'),
+        };
+
+        this.screencast = {
+            enabled: this._settings.get_boolean('screencast-enabled'),
+            hideTyping: this._settings.get_boolean('screencast-hide-typing'),
+            hidePasswords: this._settings.get_boolean('screencast-hide-passwords'),
+            timeout: this._settings.get_uint('screencast-timeout'),
+            maxLines: this._settings.get_uint('screencast-max-lines'),
+            position: this._settings.get_string('screencast-position'),
+            fadeTime: this._settings.get_uint('osd-fade-time'),
+            fontScale: this._settings.get_double('osd-font-scale'),
+        };
+
+        this.layout = {
+            show: this._settings.get_boolean('show-layout'),
+            showOsd: this._settings.get_boolean('show-layout-osd'),
+            shortNames: this._settings.get_value('layout-short-names').deep_unpack()
+        };
+    }
+
+    get settings() {
+        return this._settings;
+    }
+
+    toggleBoolean(key) {
+        this._settings.set_boolean(key, !this._settings.get_boolean(key));
+    }
+
+    // Bundled icons take precedence over icon theme names
+    _getIcon(iconName) {
+        const path = GLib.build_filenamev([this._extension.path, 'icons', `${iconName}.svg`]);
+        if (GLib.file_test(path, GLib.FileTest.EXISTS)) {
+            return new Gio.FileIcon({ file: Gio.File.new_for_path(path) });
+        }
+        return new Gio.ThemedIcon({ name: iconName });
     }
 
     destroy() {
@@ -125,22 +305,67 @@ class SettingsManager {
             this._settings.disconnect(this._settingsChangedId);
             this._settingsChangedId = null;
         }
+        if (this._a11ySettings && this._a11ySettingsChangedId) {
+            this._a11ySettings.disconnect(this._a11ySettingsChangedId);
+            this._a11ySettingsChangedId = null;
+        }
         this._settings = null;
+        this._a11ySettings = null;
     }
 }
 
+// Row of modifier symbols shared by the panel and the OSD. Each symbol is
+// either { text } or { gicon }, optionally with the modifier name used for
+// its style classes, a Sticky Keys state and custom colors.
+const SymbolBox = GObject.registerClass(
+    class SymbolBox extends St.BoxLayout {
+        _init(params = {}) {
+            super._init({
+                style_class: 'kbd-symbols',
+                y_align: Clutter.ActorAlign.CENTER,
+                ...params,
+            });
+        }
+
+        setSymbols(symbols) {
+            this.destroy_all_children();
+            symbols.forEach(symbol => this.add_child(this._createSymbolActor(symbol)));
+        }
+
+        _createSymbolActor({ name, text, gicon, stickyState, colors, isActive = true }) {
+            const actor = gicon
+                ? new St.Icon({ gicon, style_class: 'kbd-symbol kbd-symbol-icon' })
+                : new St.Label({ text, style_class: 'kbd-symbol', y_align: Clutter.ActorAlign.CENTER });
+
+            if (name) {
+                actor.add_style_class_name(`kbd-symbol-${name}`);
+            }
+            actor.add_style_class_name(isActive ? 'kbd-symbol-active' : 'kbd-symbol-inactive');
+            if (stickyState) {
+                actor.add_style_class_name(`kbd-symbol-${stickyState}`);
+            }
+
+            // Custom colors mark active modifiers, inactive ones are dimmed by the stylesheet
+            actor.style = isActive ? getColorStyle(colors) : null;
+            return actor;
+        }
+    });
+
 const ModifiersOSD = GObject.registerClass(
     class ModifiersOSD extends Clutter.Actor {
-        _init(monitorIndex) {
+        _init(monitorIndex, config) {
             super._init({
                 x_expand: true,
                 y_expand: true,
-                x_align: Clutter.ActorAlign.CENTER,
-                y_align: Clutter.ActorAlign.END,
             });
 
             this._monitorIndex = monitorIndex;
+            this._config = config;
             this._hideTimeoutId = 0;
+            this._unredirectDisabled = false;
+
+            const constraint = new Layout.MonitorConstraint({ index: this._monitorIndex });
+            this.add_constraint(constraint);
 
             this._setupUI();
             this._reset();
@@ -148,23 +373,34 @@ const ModifiersOSD = GObject.registerClass(
         }
 
         _setupUI() {
-            const constraint = new Layout.MonitorConstraint({ index: this._monitorIndex });
-            this.add_constraint(constraint);
+            const { position, offsetX, offsetY, showIcon, iconName, fontScale } = this._config;
+            const [xAlign, yAlign] = OSD_ANCHORS[position] ?? OSD_ANCHORS['bottom-center'];
+
+            this.x_align = xAlign;
+            this.y_align = yAlign;
+
+            // Base styles, per-modifier colors are appended to them when shown
+            this._containerStyle = 'margin: 0; ' +
+                getOffsetMargins(xAlign, offsetX, 'left', 'right') +
+                getOffsetMargins(yAlign, offsetY, 'top', 'bottom');
+            this._titleStyle = `font-size: ${1.1 * fontScale}em; text-align: center;`;
+            this._statusStyle = `font-size: ${fontScale}em; text-align: center;`;
+            this._modifierClasses = [];
 
             this._container = new St.BoxLayout({
                 style_class: 'osd-window',
-                style: 'margin-bottom: 8em;',
+                style: this._containerStyle,
                 x_align: Clutter.ActorAlign.CENTER,
                 y_align: Clutter.ActorAlign.CENTER,
                 x_expand: true,
-                vertical: !SHOW_OSD_ICON, // Vertical layout when no icon, horizontal when icon is shown
+                vertical: !showIcon, // Vertical layout when no icon, horizontal when icon is shown
             });
             this.add_child(this._container);
 
-            if (SHOW_OSD_ICON) {
+            if (showIcon) {
                 this._icon = new St.Icon({
-                    icon_name: 'input-keyboard-symbolic',
-                    icon_size: 24,
+                    icon_name: iconName,
+                    icon_size: Math.round(OSD_ICON_SIZE * fontScale),
                     y_expand: true,
                 });
                 this._container.add_child(this._icon);
@@ -181,15 +417,24 @@ const ModifiersOSD = GObject.registerClass(
             this._container.add_child(this._textContainer);
 
             this._titleLabel = new St.Label({
-                style: 'font-size: 1.1em; text-align: center;',
+                style: this._titleStyle,
                 x_align: Clutter.ActorAlign.CENTER,
                 y_align: Clutter.ActorAlign.CENTER,
                 x_expand: true,
             });
             this._textContainer.add_child(this._titleLabel);
 
+            // Lock lamps of the LED bar layout, shown in place of the title
+            this._ledBox = new St.BoxLayout({
+                style_class: 'kbd-osd-leds',
+                style: `font-size: ${fontScale}em;`,
+                x_align: Clutter.ActorAlign.CENTER,
+                visible: false,
+            });
+            this._textContainer.add_child(this._ledBox);
+
             this._statusLabel = new St.Label({
-                style: 'font-size: 1.0em; text-align: center;',
+                style: this._statusStyle,
                 x_align: Clutter.ActorAlign.CENTER,
                 y_align: Clutter.ActorAlign.CENTER,
                 x_expand: true,
@@ -197,20 +442,117 @@ const ModifiersOSD = GObject.registerClass(
             this._textContainer.add_child(this._statusLabel);
         }
 
-        show(title, status) {
+        setConfig(config) {
+            this._config = config;
+
+            // Rebuild in place, keeping whatever is currently shown
+            const title = this._titleLabel.text;
+            const status = this._statusLabel.text;
+            const leds = this._leds;
+            this._container.destroy();
+            this._icon = null;
+            this._setupUI();
+            this._titleLabel.text = title;
+            this._statusLabel.text = status;
+            this._setLeds(leds);
+        }
+
+        // options.gicon replaces the configured icon, e.g. with a modifier icon;
+        // options.modifier, isActive and colors style the OSD for that modifier
+        show(title, status, { stickyState = null, gicon = null, ...modifierStyle } = {}) {
             this._titleLabel.text = title;
             this._statusLabel.text = status;
+            this._setLeds(null);
+            this._setStickyState(stickyState);
+            this._setModifierStyle(modifierStyle);
+            this._present(gicon);
+        }
+
+        // leds is [{ title, isActive, changed }, ...] as built by buildLockLeds(),
+        // status an optional line below them
+        showLeds(leds, status = '') {
+            this._titleLabel.text = '';
+            this._statusLabel.text = status;
+            this._setLeds(leds);
+            this._setStickyState(null);
+            this._setModifierStyle();
+            this._present(null);
+        }
 
-            if (!this.visible) {
+        _present(gicon) {
+            if (this._icon) {
+                this._icon.gicon = gicon ?? new Gio.ThemedIcon({ name: this._config.iconName });
+            }
+
+            // A pending hide means the OSD is fully shown, otherwise it is
+            // hidden or fading out and has to be brought back
+            if (!this.visible || !this._hideTimeoutId) {
                 this._showWithAnimation();
             }
             this._scheduleHide();
         }
 
+        _setLeds(leds) {
+            this._leds = leds;
+            this._ledBox.destroy_all_children();
+            this._ledBox.visible = leds !== null;
+            this._titleLabel.visible = leds === null;
+            this._statusLabel.visible = leds === null || this._statusLabel.text !== '';
+
+            leds?.forEach(({ title, isActive, changed }) => {
+                const led = new St.BoxLayout({
+                    style_class: `kbd-osd-led ${isActive ? 'kbd-osd-led-on' : 'kbd-osd-led-off'}`,
+                    vertical: true,
+                });
+                if (changed) {
+                    led.add_style_class_name('kbd-osd-led-changed');
+                }
+                led.add_child(new St.Widget({
+                    style_class: 'kbd-osd-led-lamp',
+                    x_align: Clutter.ActorAlign.CENTER,
+                }));
+                led.add_child(new St.Label({
+                    text: title,
+                    x_align: Clutter.ActorAlign.CENTER,
+                }));
+                this._ledBox.add_child(led);
+            });
+        }
+
+        _setStickyState(stickyState) {
+            Object.values(STICKY_STATE).forEach(state => {
+                this._titleLabel.remove_style_class_name(`kbd-osd-${state}`);
+            });
+            if (stickyState) {
+                this._titleLabel.add_style_class_name(`kbd-osd-${stickyState}`);
+            }
+        }
+
+        _setModifierStyle({ modifier = null, isActive = null, colors = {} } = {}) {
+            this._modifierClasses.forEach(styleClass => this._container.remove_style_class_name(styleClass));
+            this._modifierClasses = [];
+
+            if (modifier) {
+                this._modifierClasses.push(`kbd-osd-${modifier}`);
+            }
+            if (isActive !== null) {
+                this._modifierClasses.push(isActive ? 'kbd-osd-on' : 'kbd-osd-off');
+            }
+            this._modifierClasses.forEach(styleClass => this._container.add_style_class_name(styleClass));
+
+            const { foreground, background } = colors;
+            const color = foreground ? ` color: ${foreground};` : '';
+            this._container.style = this._containerStyle + (background ? ` background-color: ${background};` : '');
+            this._titleLabel.style = this._titleStyle + color;
+            this._statusLabel.style = this._statusStyle + color;
+        }
+
         _showWithAnimation() {
             // Disable unredirect if available (not present in Gnome 46+)
-            if (global.compositor && typeof global.compositor.disable_unredirect === 'function') {
+            if (!this._unredirectDisabled &&
+                global.compositor && typeof global.compositor.disable_unredirect === 'function') {
                 global.compositor.disable_unredirect();
+                this._unredirectDisabled = true;
             }
 
             super.show();
@@ -219,7 +561,7 @@ const ModifiersOSD = GObject.registerClass(
 
             this.ease({
                 opacity: 255,
-                duration: OSD_FADE_TIME_MS,
+                duration: this._config.fadeTime,
                 mode: Clutter.AnimationMode.EASE_OUT_QUAD,
             });
         }
@@ -228,7 +570,7 @@ const ModifiersOSD = GObject.registerClass(
             this._clearHideTimeout();
             this._hideTimeoutId = GLib.timeout_add(
                 GLib.PRIORITY_DEFAULT,
-                OSD_HIDE_TIMEOUT_MS,
+                this._config.hideTimeout,
                 this._hide.bind(this)
             );
             GLib.Source.set_name_by_id(this._hideTimeoutId, '[gnome-shell] ModifiersOSD._hide');
@@ -245,23 +587,32 @@ const ModifiersOSD = GObject.registerClass(
             this._hideTimeoutId = 0;
             this.ease({
                 opacity: 0,
-                duration: OSD_FADE_TIME_MS,
+                duration: this._config.fadeTime,
                 mode: Clutter.AnimationMode.EASE_OUT_QUAD,
                 onComplete: () => {
                     this._reset();
-                    // Enable unredirect if available (not present in Gnome 46+)
-                    if (global.compositor && typeof global.compositor.enable_unredirect === 'function') {
-                        global.compositor.enable_unredirect();
-                    }
+                    this._restoreUnredirect();
                 },
             });
             return GLib.SOURCE_REMOVE;
         }
 
+        _restoreUnredirect() {
+            // Enable unredirect if available (not present in Gnome 46+)
+            if (this._unredirectDisabled &&
+                global.compositor && typeof global.compositor.enable_unredirect === 'function') {
+                global.compositor.enable_unredirect();
+            }
+            this._unredirectDisabled = false;
+        }
+
         _reset() {
             super.hide();
             this._titleLabel.text = '';
             this._statusLabel.text = '';
+            this._setLeds(null);
+            this._setStickyState(null);
+            this._setModifierStyle();
         }
 
         _clearHideTimeout() {
@@ -273,13 +624,15 @@ const ModifiersOSD = GObject.registerClass(
 
         destroy() {
             this._clearHideTimeout();
+            this._restoreUnredirect();
             super.destroy();
         }
     });
 
 
 class ModifiersOSDManager {
-    constructor() {
+    constructor(config) {
+        this._config = config;
         this._osdWindows = [];
         this._monitorsChangedId = Main.layoutManager.connect(
             'monitors-changed',
@@ -294,7 +647,7 @@ class ModifiersOSDManager {
         // Create OSD windows for new monitors
         for (let i = 0; i < monitorCount; i++) {
             if (!this._osdWindows[i]) {
-                this._osdWindows[i] = new ModifiersOSD(i);
+                this._osdWindows[i] = new ModifiersOSD(i, this._config);
             }
         }
 
@@ -309,10 +662,58 @@ class ModifiersOSDManager {
         this._osdWindows.length = monitorCount;
     }
 
-    show(title, status) {
+    setConfig(config) {
+        if (JSON.stringify(config) === JSON.stringify(this._config)) {
+            return;
+        }
+
+        this._config = config;
         this._osdWindows.forEach(osd => {
             if (osd) {
-                osd.show(title, status);
+                osd.setConfig(config);
+            }
+        });
+    }
+
+    _getTargetMonitors() {
+        const layoutManager = Main.layoutManager;
+
+        switch (this._config.monitor) {
+            case 'primary':
+                return [layoutManager.primaryIndex];
+            case 'focused': {
+                const focusWindow = global.display.focus_window;
+                const index = focusWindow ? focusWindow.get_monitor() : -1;
+                return [index >= 0 ? index : layoutManager.primaryIndex];
+            }
+            case 'pointer':
+                return [global.display.get_current_monitor()];
+            default:
+                return this._osdWindows.map((_osd, index) => index);
+        }
+    }
+
+    show(title, status, options = {}) {
+        this._showOnTargets(osd => osd.show(title, status, options));
+    }
+
+    showLeds(leds, status) {
+        this._showOnTargets(osd => osd.showLeds(leds, status));
+    }
+
+    _showOnTargets(showFunc) {
+        const targets = this._getTargetMonitors();
+
+        this._osdWindows.forEach((osd, index) => {
+            if (!osd) {
+                return;
+            }
+
+            // Hide a popup still showing on a monitor that is no longer targeted
+            if (targets.includes(index)) {
+                showFunc(osd);
+            } else {
+                osd.cancel();
             }
         });
     }
@@ -340,196 +741,2203 @@ class ModifiersOSDManager {
     }
 }
 
-class PanelIndicator {
-    constructor() {
-        this._indicator = null;
-        this._label = null;
-    }
+const PanelButton = GObject.registerClass(
+    class PanelButton extends PanelMenu.Button {
+        _init(actions, onAction) {
+            super._init(0.5, _('Keyboard Informer'));
 
-    initialize() {
-        this._indicator = new St.Bin({
-            style_class: 'panel-button kbd-indicator',
-            reactive: false,
-            can_focus: false,
-            x_expand: false,
-            y_expand: false,
-            y_align: Clutter.ActorAlign.CENTER,
-            x_align: Clutter.ActorAlign.CENTER,
-            track_hover: false
-        });
+            this._actions = actions;
+            this._onAction = onAction;
+            this.add_style_class_name('kbd-indicator');
 
-        this._label = new St.Label({
-            style_class: 'panel-status-menu-label state-label',
-            text: '',
-            y_align: Clutter.ActorAlign.CENTER
-        });
+            this._symbolBox = new SymbolBox({ style_class: 'kbd-symbols panel-status-menu-label state-label' });
+            this.add_child(this._symbolBox);
 
-        this._indicator.set_child(this._label);
-        Main.panel._rightBox.insert_child_at_index(this._indicator, 0);
-    }
+            this._buildMenu();
+        }
 
-    updateText(text) {
-        if (this._label) {
-            this._label.text = text;
+        _buildMenu() {
+            this._stateItems = new Map();
+
+            for (const [mask, name] of MODIFIER_NAMES) {
+                const item = new PopupMenu.PopupSwitchMenuItem(_(name), false);
+
+                if (LOCK_KEYVALS.has(mask)) {
+                    item.connect('toggled', (_item, state) => {
+                        this._onAction('set-lock', { mask, active: state });
+                    });
+                } else {
+                    // Held modifiers can only be shown, not set from here
+                    item.reactive = false;
+                }
+
+                this._stateItems.set(mask, item);
+                this.menu.addMenuItem(item);
+            }
+
+            this._preferencesSeparator = new PopupMenu.PopupSeparatorMenuItem();
+            this.menu.addMenuItem(this._preferencesSeparator);
+            this._preferencesItem = this.menu.addAction(_('Preferences'), () => this._onAction('preferences'));
         }
-    }
 
-    destroy() {
-        if (this._indicator) {
-            Main.panel._rightBox.remove_child(this._indicator);
-            this._indicator.destroy_all_children();
-            this._indicator.destroy();
-            this._indicator = null;
-            this._label = null;
+        // Preferences must not be reachable from the lock screen
+        setLocked(locked) {
+            this._preferencesSeparator.visible = !locked;
+            this._preferencesItem.visible = !locked;
         }
-    }
-}
 
-class InputDeviceManager {
-    constructor() {
-        this._seat = null;
-    }
+        setActions(actions) {
+            this._actions = actions;
+        }
 
-    initialize() {
-        try {
-            // Try Clutter 1.24+ API first
-            this._seat = Clutter.get_default_backend().get_default_seat();
-        } catch (e) {
-            // Fallback to older DeviceManager API
-            this._seat = Clutter.DeviceManager.get_default();
+        setSymbols(symbols) {
+            this._symbolBox.setSymbols(symbols);
         }
-    }
 
-    getCurrentModifierState() {
-        const [x, y, modifiers] = global.get_pointer();
-        return typeof modifiers !== 'undefined' ? modifiers : 0;
-    }
+        setState(state) {
+            for (const [mask, item] of this._stateItems) {
+                // setToggleState() does not emit 'toggled'
+                item.setToggleState((state & mask) !== 0);
+            }
+        }
 
-    destroy() {
-        this._seat = null;
-    }
-}
+        vfunc_event(event) {
+            const type = event.type();
+
+            if (type === Clutter.EventType.BUTTON_PRESS) {
+                const button = event.get_button();
+                let action = 'menu';
+
+                if (button === Clutter.BUTTON_PRIMARY) {
+                    action = this._actions.leftClick;
+                } else if (button === Clutter.BUTTON_MIDDLE) {
+                    action = this._actions.middleClick;
+                }
+
+                // Secondary click always opens the menu
+                if (action !== 'menu') {
+                    this._onAction(action);
+                    return Clutter.EVENT_STOP;
+                }
+            } else if (type === Clutter.EventType.SCROLL) {
+                const direction = this._getScrollDirection(event);
+                if (direction !== 0 && this._actions.scroll !== 'none') {
+                    this._onAction(this._actions.scroll, { direction });
+                }
+                return Clutter.EVENT_STOP;
+            }
 
-/**
- * Main extension class
- */
-export default class KeyboardModifiersStatusExtension extends Extension {
-    constructor(metadata) {
-        super(metadata);
-        console.debug(`${LOG_TAG} Constructor completed for ${this.metadata.name}`);
+            return super.vfunc_event(event);
+        }
+
+        _getScrollDirection(event) {
+            switch (event.get_scroll_direction()) {
+                case Clutter.ScrollDirection.UP:
+                    return 1;
+                case Clutter.ScrollDirection.DOWN:
+                    return -1;
+                case Clutter.ScrollDirection.SMOOTH: {
+                    const [, dy] = event.get_scroll_delta();
+                    return dy < 0 ? 1 : dy > 0 ? -1 : 0;
+                }
+                default:
+                    return 0;
+            }
+        }
+    });
+
+class PanelIndicator {
+    constructor(uuid) {
+        this._uuid = uuid;
+        this._button = null;
+        this._placement = null;
+        this._sessionModeId = null;
+        this._enforceIdleId = 0;
+        this.onAction = null;
     }
 
-    enable() {
-        console.debug(`${LOG_TAG} Enabling extension...`);
+    initialize(actions, placement) {
+        this._button = new PanelButton(actions, (action, params = {}) => {
+            if (this.onAction) {
+                this.onAction(action, params);
+            }
+        });
 
-        this._stateTracker = new ModifierStateTracker();
-        this._settingsManager = new SettingsManager(this);
-        this._osdManager = new ModifiersOSDManager();
-        this._panelIndicator = new PanelIndicator();
-        this._inputManager = new InputDeviceManager();
-        this._settingsManager.onSettingsChanged = () => {
-            this._stateTracker.previousState = null; // Force refresh
-        };
-        this._settingsManager.initialize();
-        this._panelIndicator.initialize();
-        this._inputManager.initialize();
-        this._updateTimeoutId = GLib.timeout_add(
-            GLib.PRIORITY_DEFAULT,
-            UPDATE_INTERVAL_MS,
-            this._onUpdate.bind(this)
-        );
+        this._placement = placement;
+        Main.panel.addToStatusArea(this._uuid, this._button, placement.position, placement.box);
+        this._enforcePlacement();
 
-        console.debug(`${LOG_TAG} Extension enabled successfully`);
+        // The panel rearranges its indicators when the session mode changes.
+        // Changes of other extensions are left alone, so that two extensions
+        // insisting on a position cannot keep moving each other's indicators.
+        this._sessionModeId = Main.sessionMode.connect('updated', () => this._scheduleEnforcePlacement());
     }
 
-    disable() {
-        console.debug(`${LOG_TAG} Disabling extension...`);
+    _getBox(name) {
+        return Main.panel[`_${name}Box`];
+    }
+
+    setPlacement(placement) {
+        this._placement = placement;
+        this._enforcePlacement();
+    }
 
-        if (this._updateTimeoutId) {
-            GLib.source_remove(this._updateTimeoutId);
-            this._updateTimeoutId = null;
+    // Waits for the panel to handle the session mode change first
+    _scheduleEnforcePlacement() {
+        if (this._enforceIdleId) {
+            return;
         }
 
-        [
-            this._inputManager,
-            this._panelIndicator,
-            this._osdManager,
-            this._settingsManager
-        ].forEach(component => {
-            if (component) {
-                component.destroy();
-            }
+        this._enforceIdleId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._enforceIdleId = 0;
+            this._enforcePlacement();
+            return GLib.SOURCE_REMOVE;
         });
+        GLib.Source.set_name_by_id(this._enforceIdleId, '[gnome-shell] PanelIndicator._enforcePlacement');
+    }
 
+    _enforcePlacement() {
+        if (!this._button || !this._placement) {
+            return;
+        }
 
-        this._stateTracker = null;
-        this._settingsManager = null;
-        this._osdManager = null;
-        this._panelIndicator = null;
-        this._inputManager = null;
+        const container = this._button.container;
+        const box = this._getBox(this._placement.box) ?? this._getBox('right');
+        const parent = container.get_parent();
 
-        console.debug(`${LOG_TAG} Extension disabled successfully`);
+        if (parent !== box) {
+            if (parent) {
+                parent.remove_child(container);
+            }
+            box.insert_child_at_index(container, this._placement.position);
+            return;
+        }
+
+        const index = Math.min(this._placement.position, box.get_n_children() - 1);
+        if (box.get_children().indexOf(container) !== index) {
+            box.set_child_at_index(container, index);
+        }
     }
 
-    _onUpdate() {
-        const currentState = this._inputManager.getCurrentModifierState();
-        this._stateTracker.updateState(currentState);
+    setActions(actions) {
+        if (this._button) {
+            this._button.setActions(actions);
+        }
+    }
 
-        if (!this._stateTracker.hasStateChanged()) {
-            return GLib.SOURCE_CONTINUE;
+    setLocked(locked) {
+        if (this._button) {
+            this._button.setLocked(locked);
         }
+    }
 
-        this._handleModifierNotifications();
-        this._updatePanelIndicator();
+    toggleMenu() {
+        if (this._button) {
+            this._button.menu.toggle();
+        }
+    }
 
-        return GLib.SOURCE_CONTINUE;
+    updateSymbols(symbols) {
+        if (this._button) {
+            this._button.setSymbols(symbols);
+        }
     }
 
-    _handleModifierNotifications() {
-        if (this._stateTracker.previousState === null) {
-            return; // Skip notifications on first run
+    updateState(state) {
+        if (this._button) {
+            this._button.setState(state);
         }
+    }
 
-        // Check for Caps Lock changes
-        const capsChange = this._stateTracker.getModifierChangeInfo(MODIFIER_MASKS.LOCK);
-        if (capsChange) {
-            const message = capsChange.isActive ? 'On' : 'Off';
-            this._showNotification(message, 'Caps');
+    destroy() {
+        if (this._sessionModeId) {
+            Main.sessionMode.disconnect(this._sessionModeId);
+            this._sessionModeId = null;
         }
 
-        // Check for Num Lock changes
-        const numChange = this._stateTracker.getModifierChangeInfo(MODIFIER_MASKS.MOD2);
-        if (numChange) {
-            const message = numChange.isActive ? 'On' : 'Off';
-            this._showNotification(message, 'Num');
+        if (this._enforceIdleId) {
+            GLib.source_remove(this._enforceIdleId);
+            this._enforceIdleId = 0;
         }
 
-        // Check for Scroll Lock changes
-        const scrollChange = this._stateTracker.getModifierChangeInfo(MODIFIER_MASKS.MOD3);
-        if (scrollChange) {
-            const message = scrollChange.isActive ? 'On' : 'Off';
-            this._showNotification(message, 'Scroll');
+        if (this._button) {
+            this._button.destroy();
+            this._button = null;
         }
+        this._placement = null;
+        this.onAction = null;
     }
+}
 
-    _updatePanelIndicator() {
-        const symbols = this._settingsManager.symbols;
+class InputDeviceManager {
+    constructor() {
+        this._seat = null;
+        this._keymap = null;
+        this._keymapSignalIds = [];
+        this._stageEventId = null;
+        this._pollTimeoutId = null;
+        this._onStateChanged = null;
+        this._lastState = null;
+        this._virtualKeyboard = null;
+        this._stickyKeysEnabled = false;
+        this._latched = 0;
+        this._locked = 0;
+        this._lastSticky = { latched: 0, locked: 0 };
+        this._stickyIdleId = 0;
+        this._pendingStickyMask = 0;
+        this._keyListeners = new Set();
+        this._ownToggleTimes = new Map();
+    }
 
-        const activeModifiers = [];
-        for (const [mask, symbol] of symbols.modifiers) {
-            if (this._stateTracker.isModifierActive(mask)) {
-                activeModifiers.push(symbol);
-            }
+    initialize(onStateChanged) {
+        this._onStateChanged = onStateChanged;
+
+        try {
+            // Try Clutter 1.24+ API first
+            this._seat = Clutter.get_default_backend().get_default_seat();
+        } catch (e) {
+            // Fallback to older DeviceManager API
+            this._seat = Clutter.DeviceManager.get_default();
+        }
+
+        // Lock changes come from the keymap, held modifiers from key events
+        this._stageEventId = global.stage.connect('captured-event', this._onStageEvent.bind(this));
+        if (!this._connectKeymapSignals()) {
+            console.warn(`${LOG_TAG} Keymap signals not available, falling back to polling`);
+            this._startPolling();
         }
 
-        const indicatorText = activeModifiers.join(' ');
+        this._pushState(this.getCurrentModifierState());
+    }
 
-        this._panelIndicator.updateText(indicatorText);
+    _connectKeymapSignals() {
+        try {
+            this._keymap = this._seat?.get_keymap?.() ?? null;
+        } catch (e) {
+            this._keymap = null;
+        }
+
+        if (!this._keymap || !GObject.signal_lookup('state-changed', this._keymap.constructor.$gtype)) {
+            this._keymap = null;
+            return false;
+        }
+
+        this._keymapSignalIds.push(this._keymap.connect('state-changed', () => {
+            this._pushState(this.getCurrentModifierState());
+        }));
+        return true;
+    }
+
+    _onStageEvent(_actor, event) {
+        const type = event.type();
+        if (type !== Clutter.EventType.KEY_PRESS && type !== Clutter.EventType.KEY_RELEASE) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const keyMask = KEYVAL_MODIFIER_MASKS.get(event.get_key_symbol()) ?? 0;
+        this._notifyKeyListeners(type, event);
+
+        // With Sticky Keys a released modifier may stay active, so the outcome
+        // is read back from the seat once the release has been processed
+        if (type === Clutter.EventType.KEY_RELEASE && (keyMask & STICKY_MODIFIERS_MASK) && this._stickyKeysEnabled) {
+            this._scheduleStickyUpdate(keyMask);
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const state = type === Clutter.EventType.KEY_PRESS
+            ? event.get_state() | keyMask
+            : event.get_state() & ~keyMask;
+
+        this._pushState(state);
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    // Listeners receive { pressed, keyval, unicode, state, repeated } for every
+    // key event the shell sees, with state holding the modifiers before the event
+    addKeyListener(listener) {
+        this._keyListeners.add(listener);
+    }
+
+    removeKeyListener(listener) {
+        this._keyListeners.delete(listener);
+    }
+
+    _notifyKeyListeners(type, event) {
+        if (this._keyListeners.size === 0) {
+            return;
+        }
+
+        const keyEvent = {
+            pressed: type === Clutter.EventType.KEY_PRESS,
+            keyval: event.get_key_symbol(),
+            unicode: event.get_key_unicode(),
+            state: event.get_state() & ALL_MODIFIERS_MASK,
+            repeated: (event.get_flags() & (Clutter.EventFlags.FLAG_REPEATED ?? 0)) !== 0,
+        };
+
+        this._keyListeners.forEach(listener => {
+            try {
+                listener(keyEvent);
+            } catch (error) {
+                console.error(`${LOG_TAG} Error in key listener: ${error}`);
+            }
+        });
+    }
+
+    setStickyKeysEnabled(enabled) {
+        this._stickyKeysEnabled = enabled;
+        if (!enabled) {
+            this._latched = 0;
+            this._locked = 0;
+            this._pushState(this.getCurrentModifierState());
+        }
+    }
+
+    _scheduleStickyUpdate(mask) {
+        this._pendingStickyMask |= mask;
+        if (this._stickyIdleId) {
+            return;
+        }
+
+        this._stickyIdleId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+            this._stickyIdleId = 0;
+            this._updateSticky(this._pendingStickyMask);
+            this._pendingStickyMask = 0;
+            return GLib.SOURCE_REMOVE;
+        });
+        GLib.Source.set_name_by_id(this._stickyIdleId, '[gnome-shell] InputDeviceManager._updateSticky');
+    }
+
+    // Mirrors the Sticky Keys cycle: the first press latches a modifier,
+    // the second locks it and the third releases it
+    _updateSticky(releasedMask) {
+        const state = this.getCurrentModifierState();
+
+        for (const mask of Object.values(MODIFIER_MASKS)) {
+            if (!(releasedMask & mask) || !(state & mask)) {
+                continue;
+            }
+
+            if (this._latched & mask) {
+                this._latched &= ~mask;
+                this._locked |= mask;
+            } else if (!(this._locked & mask)) {
+                this._latched |= mask;
+            }
+        }
+
+        this._pushState(state);
+    }
+
+    _startPolling() {
+        this._pollTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, UPDATE_INTERVAL_MS, () => {
+            this._pushState(this.getCurrentModifierState());
+            return GLib.SOURCE_CONTINUE;
+        });
+        GLib.Source.set_name_by_id(this._pollTimeoutId, '[gnome-shell] InputDeviceManager._poll');
+    }
+
+    _pushState(state) {
+        state &= ALL_MODIFIERS_MASK;
+
+        // A latch is used up by the next key, both end once the seat drops the modifier
+        this._latched &= state;
+        this._locked &= state;
+
+        if (state === this._lastState &&
+            this._latched === this._lastSticky.latched &&
+            this._locked === this._lastSticky.locked) {
+            return;
+        }
+
+        this._lastState = state;
+        this._lastSticky = { latched: this._latched, locked: this._locked };
+        if (this._onStateChanged) {
+            this._onStateChanged(state, this._lastSticky);
+        }
+    }
+
+    getCurrentModifierState() {
+        const [x, y, modifiers] = global.get_pointer();
+        return typeof modifiers !== 'undefined' ? modifiers : 0;
+    }
+
+    isLockActive(mask) {
+        return (this.getCurrentModifierState() & mask) !== 0;
+    }
+
+    setLockState(mask, active) {
+        if (this.isLockActive(mask) !== active) {
+            this.toggleLock(mask);
+        }
+    }
+
+    toggleLock(mask) {
+        const keyval = LOCK_KEYVALS.get(mask);
+        if (!keyval) {
+            console.warn(`${LOG_TAG} Modifier ${mask} is not a lock`);
+            return;
+        }
+
+        if (!this._virtualKeyboard) {
+            this._virtualKeyboard = this._seat.create_virtual_device(Clutter.InputDeviceType.KEYBOARD_DEVICE);
+        }
+
+        // Virtual device events take their timestamps in microseconds
+        const time = GLib.get_monotonic_time();
+        this._ownToggleTimes.set(mask, time);
+        this._virtualKeyboard.notify_keyval(time, keyval, Clutter.KeyState.PRESSED);
+        this._virtualKeyboard.notify_keyval(time, keyval, Clutter.KeyState.RELEASED);
+    }
+
+    // Returns which of the changed locks were toggled by toggleLock() rather
+    // than by the user. Each toggle is claimed by the first change of its lock.
+    takeOwnLockChanges(changedMask) {
+        const now = GLib.get_monotonic_time();
+        let ownMask = 0;
+
+        for (const [mask, time] of this._ownToggleTimes) {
+            if (now - time > OWN_TOGGLE_TIMEOUT_US) {
+                this._ownToggleTimes.delete(mask);
+            } else if (changedMask & mask) {
+                this._ownToggleTimes.delete(mask);
+                ownMask |= mask;
+            }
+        }
+
+        return ownMask;
+    }
+
+    destroy() {
+        if (this._pollTimeoutId) {
+            GLib.source_remove(this._pollTimeoutId);
+            this._pollTimeoutId = null;
+        }
+
+        if (this._stageEventId) {
+            global.stage.disconnect(this._stageEventId);
+            this._stageEventId = null;
+        }
+
+        if (this._keymap) {
+            this._keymapSignalIds.forEach(signalId => this._keymap.disconnect(signalId));
+        }
+        this._keymapSignalIds = [];
+        this._keymap = null;
+
+        if (this._stickyIdleId) {
+            GLib.source_remove(this._stickyIdleId);
+            this._stickyIdleId = 0;
+        }
+
+        this._keyListeners.clear();
+        this._ownToggleTimes.clear();
+        this._onStateChanged = null;
+        this._lastState = null;
+        this._latched = 0;
+        this._locked = 0;
+        this._lastSticky = { latched: 0, locked: 0 };
+        this._virtualKeyboard = null;
+        this._seat = null;
+    }
+}
+
+// Modifiers shown in key combos, in the order they are written
+const COMBO_MODIFIERS = [
+    MODIFIER_MASKS.MOD4,
+    MODIFIER_MASKS.CONTROL,
+    MODIFIER_MASKS.MOD1,
+    MODIFIER_MASKS.MOD5,
+    MODIFIER_MASKS.SHIFT,
+];
+
+const COMBO_KEY_NAMES = new Map([
+    [Clutter.KEY_Left, '←'],
+    [Clutter.KEY_Right, '→'],
+    [Clutter.KEY_Up, '↑'],
+    [Clutter.KEY_Down, '↓'],
+    [Clutter.KEY_Return, N_('Enter')],
+    [Clutter.KEY_KP_Enter, N_('Enter')],
+    [Clutter.KEY_BackSpace, '⌫'],
+    [Clutter.KEY_Tab, N_('Tab')],
+    [Clutter.KEY_ISO_Left_Tab, N_('Tab')],
+    [Clutter.KEY_Escape, N_('Esc')],
+    [Clutter.KEY_space, N_('Space')],
+    [Clutter.KEY_Delete, N_('Del')],
+    [Clutter.KEY_Page_Up, N_('PgUp')],
+    [Clutter.KEY_Page_Down, N_('PgDn')],
+]);
+
+const SCREENCAST_TYPING_SPACE = '␣';
+
+class KeyComboFormatter {
+    constructor(symbols) {
+        this._symbols = new Map(symbols);
+    }
+
+    getModifierSymbol(mask) {
+        return this._symbols.get(mask) || _(MODIFIER_NAMES.get(mask));
+    }
+
+    getKeyName(keyval, unicode) {
+        if (COMBO_KEY_NAMES.has(keyval)) {
+            return _(COMBO_KEY_NAMES.get(keyval));
+        }
+        if (unicode && !/\s/.test(unicode) && unicode >= ' ') {
+            return unicode.toUpperCase();
+        }
+        return Clutter.keyval_name(keyval) ?? '';
+    }
+
+    formatModifiers(state) {
+        return COMBO_MODIFIERS
+            .filter(mask => state & mask)
+            .map(mask => this.getModifierSymbol(mask))
+            .join(' + ');
+    }
+
+    format(state, keyval, unicode) {
+        return [this.formatModifiers(state), this.getKeyName(keyval, unicode)]
+            .filter(part => part !== '')
+            .join(' + ');
+    }
+
+    // key is a keyval name as written in accelerators, such as 'Page_Up'
+    formatAccelerator(state, key) {
+        const keyval = Clutter.keyval_from_name(key);
+        if (!keyval || keyval === Clutter.KEY_VoidSymbol) {
+            return [this.formatModifiers(state), key].filter(part => part !== '').join(' + ');
+        }
+
+        const codepoint = Clutter.keyval_to_unicode(keyval);
+        return this.format(state, keyval, codepoint ? String.fromCodePoint(codepoint) : '');
+    }
+}
+
+const ScreencastOSD = GObject.registerClass(
+    class ScreencastOSD extends Clutter.Actor {
+        _init(config) {
+            super._init({
+                x_expand: true,
+                y_expand: true,
+            });
+
+            this.add_constraint(new Layout.MonitorConstraint({ primary: true }));
+
+            const [xAlign, yAlign] = OSD_ANCHORS[config.position] ?? OSD_ANCHORS['bottom-center'];
+            this.x_align = xAlign;
+            this.y_align = yAlign;
+
+            this._config = config;
+            this._lines = [];
+
+            this._box = new St.BoxLayout({
+                vertical: true,
+                style_class: 'kbd-screencast',
+                style: getOffsetMargins(xAlign, 2, 'left', 'right') + getOffsetMargins(yAlign, 2, 'top', 'bottom'),
+            });
+            this.add_child(this._box);
+
+            Main.uiGroup.add_child(this);
+        }
+
+        // Returns a handle that updateLine() accepts while the line is shown
+        addLine(text) {
+            while (this._lines.length >= this._config.maxLines) {
+                this._removeLine(this._lines[0]);
+            }
+
+            const line = {
+                actor: new St.Label({
+                    text,
+                    style_class: 'osd-window kbd-screencast-line',
+                    style: `font-size: ${this._config.fontScale}em;`,
+                }),
+                timeoutId: 0,
+            };
+            this._box.add_child(line.actor);
+            this._lines.push(line);
+            this.get_parent().set_child_above_sibling(this, null);
+
+            this._scheduleFade(line);
+            return line;
+        }
+
+        updateLine(line, text) {
+            if (!this._lines.includes(line)) {
+                return false;
+            }
+
+            line.actor.remove_all_transitions();
+            line.actor.opacity = 255;
+            line.actor.text = text;
+            this._scheduleFade(line);
+            return true;
+        }
+
+        _scheduleFade(line) {
+            if (line.timeoutId) {
+                GLib.source_remove(line.timeoutId);
+            }
+
+            line.timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, this._config.timeout, () => {
+                line.timeoutId = 0;
+                line.actor.ease({
+                    opacity: 0,
+                    duration: this._config.fadeTime,
+                    mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+                    onComplete: () => this._removeLine(line),
+                });
+                return GLib.SOURCE_REMOVE;
+            });
+            GLib.Source.set_name_by_id(line.timeoutId, '[gnome-shell] ScreencastOSD._fade');
+        }
+
+        _removeLine(line) {
+            const index = this._lines.indexOf(line);
+            if (index < 0) {
+                return;
+            }
+
+            this._lines.splice(index, 1);
+            if (line.timeoutId) {
+                GLib.source_remove(line.timeoutId);
+                line.timeoutId = 0;
+            }
+            line.actor.destroy();
+        }
+
+        destroy() {
+            [...this._lines].forEach(line => this._removeLine(line));
+            super.destroy();
+        }
+    });
+
+class ScreencastManager {
+    constructor(settingsManager, inputManager) {
+        this._settingsManager = settingsManager;
+        this._inputManager = inputManager;
+        this._overlay = null;
+        this._typingLine = null;
+        this._typingText = '';
+        this._pendingModifierTap = null;
+        this._onKeyEvent = this._onKeyEvent.bind(this);
+        this._keybindingAdded = false;
+    }
+
+    initialize() {
+        Main.wm.addKeybinding(
+            'screencast-shortcut',
+            this._settingsManager.settings,
+            Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => this._settingsManager.toggleBoolean('screencast-enabled')
+        );
+        this._keybindingAdded = true;
+
+        this.update();
+    }
+
+    // Follows the screencast settings, starting or stopping the overlay
+    update() {
+        const config = this._settingsManager.screencast;
+
+        if (this._overlay && JSON.stringify(config) !== JSON.stringify(this._config)) {
+            this._stop();
+        }
+        this._config = config;
+
+        if (config.enabled && !this._overlay) {
+            this._start();
+        } else if (!config.enabled && this._overlay) {
+            this._stop();
+        }
+    }
+
+    _start() {
+        this._overlay = new ScreencastOSD(this._config);
+        this._inputManager.addKeyListener(this._onKeyEvent);
+    }
+
+    _stop() {
+        this._inputManager.removeKeyListener(this._onKeyEvent);
+        this._endTyping();
+        this._pendingModifierTap = null;
+
+        if (this._overlay) {
+            this._overlay.destroy();
+            this._overlay = null;
+        }
+    }
+
+    _isSuppressed() {
+        // Whatever is typed on the lock screen is a password
+        if (Main.sessionMode.isLocked) {
+            return true;
+        }
+
+        if (!this._config.hidePasswords) {
+            return false;
+        }
+
+        // Applications announce password fields through the input method,
+        // shell entries show a password character instead
+        if (Main.inputMethod?.content_purpose === Clutter.InputContentPurpose.PASSWORD) {
+            return true;
+        }
+
+        const focus = global.stage.get_key_focus();
+        return focus instanceof Clutter.Text && focus.password_char !== 0;
+    }
+
+    _onKeyEvent({ pressed, keyval, unicode, state, repeated }) {
+        if (this._isSuppressed()) {
+            this._endTyping();
+            this._pendingModifierTap = null;
+            return;
+        }
+
+        const isModifierKey = KEYVAL_MODIFIER_MASKS.has(keyval);
+
+        // A modifier pressed and released on its own is shown by itself
+        if (!pressed) {
+            if (isModifierKey && this._pendingModifierTap === keyval) {
+                this._addCombo(KEYVAL_MODIFIER_MASKS.get(keyval), null);
+            }
+            this._pendingModifierTap = null;
+            return;
+        }
+
+        if (repeated) {
+            return;
+        }
+
+        if (isModifierKey) {
+            this._pendingModifierTap = keyval;
+            return;
+        }
+        this._pendingModifierTap = null;
+
+        const comboState = COMBO_MODIFIERS.reduce((all, mask) => all | (state & mask), 0);
+        const isPlainTyping = unicode && unicode >= ' ' && (comboState & ~MODIFIER_MASKS.SHIFT) === 0;
+
+        if (isPlainTyping) {
+            if (!this._config.hideTyping) {
+                this._appendTyping(unicode === ' ' ? SCREENCAST_TYPING_SPACE : unicode);
+            }
+            return;
+        }
+
+        this._addCombo(comboState, keyval, unicode);
+    }
+
+    _addCombo(state, keyval, unicode = '') {
+        this._endTyping();
+
+        const formatter = new KeyComboFormatter(this._settingsManager.symbols.modifiers);
+        const text = keyval === null
+            ? formatter.getModifierSymbol(state)
+            : formatter.format(state, keyval, unicode);
+        this._overlay.addLine(text);
+    }
+
+    // Consecutive plain characters are merged into one line while it is shown
+    _appendTyping(text) {
+        this._typingText += text;
+        if (!this._typingLine || !this._overlay.updateLine(this._typingLine, this._typingText)) {
+            this._typingText = text;
+            this._typingLine = this._overlay.addLine(this._typingText);
+        }
+    }
+
+    _endTyping() {
+        this._typingLine = null;
+        this._typingText = '';
+    }
+
+    destroy() {
+        if (this._keybindingAdded) {
+            Main.wm.removeKeybinding('screencast-shortcut');
+            this._keybindingAdded = false;
+        }
+
+        this._stop();
+        this._settingsManager = null;
+        this._inputManager = null;
+    }
+}
+
+const STATISTICS_VERSION = 1;
+const STATISTICS_SAVE_DELAY_S = 30;
+
+function getStatisticsPath() {
+    return GLib.build_filenamev([GLib.get_user_data_dir(), 'kbd-informer', 'statistics.json']);
+}
+
+// Keeps the modifier statistics in a JSON file in the user data directory,
+// saving them a while after they changed and on shutdown. The file is loaded
+// asynchronously; counts recorded meanwhile are added to the loaded ones.
+class StatisticsRecorder {
+    constructor(settingsManager) {
+        this._settingsManager = settingsManager;
+        this._file = Gio.File.new_for_path(getStatisticsPath());
+        this._counter = new StatisticsCounter();
+        this._loadCancellable = null;
+        this._loaded = false;
+        this._saveTimeoutId = 0;
+        this._dirty = false;
+        this._data = this._createEmpty();
+    }
+
+    initialize() {
+        this._loadCancellable = new Gio.Cancellable();
+        this._file.load_contents_async(this._loadCancellable, (file, result) => {
+            try {
+                const [, contents] = file.load_contents_finish(result);
+                this._merge(JSON.parse(new TextDecoder().decode(contents)));
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    return;
+                }
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    console.warn(`${LOG_TAG} Could not load statistics: ${e}`);
+                }
+            }
+
+            this._loadCancellable = null;
+            this._loaded = true;
+            if (this._dirty) {
+                this._scheduleSave();
+            }
+        });
+    }
+
+    _createEmpty() {
+        return {
+            version: STATISTICS_VERSION,
+            since: Math.floor(Date.now() / 1000),
+            modifiers: Object.fromEntries(MODIFIER_KEYS.map(([, name]) =>
+                [name, { presses: 0, toggles: 0, accidental: 0 }]
+            )),
+        };
+    }
+
+    _merge(data) {
+        if (data.version !== STATISTICS_VERSION) {
+            return;
+        }
+
+        Object.entries(this._data.modifiers).forEach(([name, counters]) => {
+            const loaded = data.modifiers?.[name] ?? {};
+            Object.keys(counters).forEach(key => {
+                counters[key] += loaded[key] ?? 0;
+            });
+        });
+        this._data.since = data.since ?? this._data.since;
+    }
+
+    // Lock changes in ownMask were made by the extension and are not counted
+    record(stateTracker, ownMask = 0) {
+        const { enabled, accidentalThreshold } = this._settingsManager.statistics;
+        if (!enabled || !this._counter.count(this._data.modifiers, stateTracker, accidentalThreshold, ownMask)) {
+            return;
+        }
+
+        this._dirty = true;
+        this._scheduleSave();
+    }
+
+    reset() {
+        // The counts still being loaded are the ones to discard
+        this._cancelLoad();
+        this._loaded = true;
+
+        this._data = this._createEmpty();
+        this._counter.reset();
+        this._dirty = true;
+        this._save();
+    }
+
+    _cancelLoad() {
+        if (this._loadCancellable) {
+            this._loadCancellable.cancel();
+            this._loadCancellable = null;
+        }
+    }
+
+    _scheduleSave() {
+        if (this._saveTimeoutId) {
+            return;
+        }
+
+        this._saveTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_LOW, STATISTICS_SAVE_DELAY_S, () => {
+            this._saveTimeoutId = 0;
+            this._save();
+            return GLib.SOURCE_REMOVE;
+        });
+        GLib.Source.set_name_by_id(this._saveTimeoutId, '[gnome-shell] StatisticsRecorder._save');
+    }
+
+    _save() {
+        // Saving before the file was loaded would replace its counts
+        if (!this._dirty || !this._loaded) {
+            return;
+        }
+        this._dirty = false;
+
+        try {
+            GLib.mkdir_with_parents(this._file.get_parent().get_path(), 0o755);
+        } catch (e) {
+            console.error(`${LOG_TAG} Could not create statistics directory: ${e}`);
+            return;
+        }
+
+        const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify(this._data, null, 2)));
+        this._file.replace_contents_bytes_async(bytes, null, false,
+            Gio.FileCreateFlags.REPLACE_DESTINATION, null, (file, result) => {
+                try {
+                    file.replace_contents_finish(result);
+                } catch (e) {
+                    console.error(`${LOG_TAG} Could not save statistics: ${e}`);
+                }
+            });
+    }
+
+    destroy() {
+        if (this._saveTimeoutId) {
+            GLib.source_remove(this._saveTimeoutId);
+            this._saveTimeoutId = 0;
+        }
+
+        // Write out whatever was counted since the last save
+        this._cancelLoad();
+        this._save();
+        this._settingsManager = null;
+    }
+}
+
+// Lives in the prompt box of the unlock dialog, so it is laid out with the
+// password prompt and only visible while the prompt is
+const CapsLockWarning = GObject.registerClass(
+    class CapsLockWarning extends St.BoxLayout {
+        _init() {
+            super._init({
+                style_class: 'kbd-caps-warning',
+                x_align: Clutter.ActorAlign.CENTER,
+            });
+
+            this.add_child(new St.Icon({
+                icon_name: 'dialog-warning-symbolic',
+                style_class: 'kbd-caps-warning-icon',
+            }));
+            this.add_child(new St.Label({
+                text: _('Caps Lock is on'),
+                y_align: Clutter.ActorAlign.CENTER,
+            }));
+        }
+    });
+
+const CapsTypingWarning = GObject.registerClass(
+    {
+        Signals: {
+            'turn-off': {},
+            'dismissed': {},
+        },
+    },
+    class CapsTypingWarning extends St.BoxLayout {
+        _init() {
+            super._init({
+                style_class: 'kbd-caps-typing',
+                reactive: true,
+            });
+
+            this.add_child(new St.Icon({
+                icon_name: 'dialog-warning-symbolic',
+                style_class: 'kbd-caps-typing-icon',
+                y_align: Clutter.ActorAlign.CENTER,
+            }));
+            this.add_child(new St.Label({
+                text: _('You seem to be typing with Caps Lock on'),
+                y_align: Clutter.ActorAlign.CENTER,
+            }));
+
+            const turnOffButton = new St.Button({
+                style_class: 'button kbd-caps-typing-button',
+                label: _('Turn off'),
+                can_focus: true,
+            });
+            turnOffButton.connect('clicked', () => this.emit('turn-off'));
+            this.add_child(turnOffButton);
+
+            const closeButton = new St.Button({
+                style_class: 'button kbd-caps-typing-button',
+                child: new St.Icon({ icon_name: 'window-close-symbolic', style_class: 'kbd-caps-typing-icon' }),
+                can_focus: true,
+            });
+            closeButton.connect('clicked', () => this.emit('dismissed'));
+            this.add_child(closeButton);
+        }
+
+        // Centered at the top of the primary monitor; the actor is not stretched
+        // over the monitor so that it only takes input where it is drawn
+        updatePosition() {
+            const monitor = Main.layoutManager.primaryMonitor;
+            if (!monitor) {
+                return;
+            }
+
+            const [, naturalWidth] = this.get_preferred_width(-1);
+            const offset = Math.round(monitor.height / 10);
+            this.set_position(monitor.x + Math.floor((monitor.width - naturalWidth) / 2), monitor.y + offset);
+        }
+    });
+
+// Watches the keys typed while Caps Lock is on and warns when they look like
+// text typed by mistake: a run of letters, or letters typed with Shift held,
+// which produces lower case. Only counters are kept, never the typed keys.
+class CapsTypingDetector {
+    constructor(settingsManager, inputManager) {
+        this._settingsManager = settingsManager;
+        this._inputManager = inputManager;
+        this._warning = null;
+        this._letters = 0;
+        this._shiftedLetters = 0;
+        this._dismissed = false;
+        this._listening = false;
+        this._monitorsChangedId = null;
+        this._onKeyEvent = this._onKeyEvent.bind(this);
+    }
+
+    initialize() {
+        this._monitorsChangedId = Main.layoutManager.connect('monitors-changed', () => {
+            this._warning?.updatePosition();
+        });
+    }
+
+    setCapsLockActive(active) {
+        const listen = active && this._settingsManager.capsTyping.enabled;
+
+        if (listen && !this._listening) {
+            this._inputManager.addKeyListener(this._onKeyEvent);
+        } else if (!listen && this._listening) {
+            this._inputManager.removeKeyListener(this._onKeyEvent);
+        }
+        this._listening = listen;
+
+        if (!active) {
+            this._reset();
+            this._dismissed = false;
+            this._hideWarning();
+        }
+    }
+
+    // The warning sits in the top chrome, which stays above the lock screen
+    setLocked(locked) {
+        if (locked) {
+            this._hideWarning();
+        }
+    }
+
+    update() {
+        this.setCapsLockActive(this._inputManager.isLockActive(MODIFIER_MASKS.LOCK));
+        if (!this._settingsManager.capsTyping.enabled) {
+            this._hideWarning();
+        }
+    }
+
+    _reset() {
+        this._letters = 0;
+        this._shiftedLetters = 0;
+    }
+
+    _onKeyEvent({ pressed, keyval, unicode, state, repeated }) {
+        if (!pressed || repeated || KEYVAL_MODIFIER_MASKS.has(keyval) || keyval === Clutter.KEY_Caps_Lock) {
+            return;
+        }
+
+        if (!(state & MODIFIER_MASKS.LOCK) || Main.sessionMode.isLocked ||
+            (state & (MODIFIER_MASKS.CONTROL | MODIFIER_MASKS.MOD1 | MODIFIER_MASKS.MOD4))) {
+            this._reset();
+            return;
+        }
+
+        // Spaces and punctuation neither count nor break the run, any other
+        // key without text (editing, navigation) does
+        if (!unicode || unicode < ' ') {
+            this._reset();
+            return;
+        }
+
+        if (unicode.toLowerCase() === unicode.toUpperCase()) {
+            return;
+        }
+
+        this._letters++;
+        if (state & MODIFIER_MASKS.SHIFT) {
+            this._shiftedLetters++;
+        }
+
+        const { letters, shiftedLetters } = this._settingsManager.capsTyping;
+        if (!this._dismissed && (this._letters >= letters || this._shiftedLetters >= shiftedLetters)) {
+            this._showWarning();
+        }
+    }
+
+    _showWarning() {
+        if (this._warning) {
+            return;
+        }
+
+        this._warning = new CapsTypingWarning();
+        this._warning.connect('turn-off', () => {
+            this._inputManager.setLockState(MODIFIER_MASKS.LOCK, false);
+            this._hideWarning();
+        });
+        this._warning.connect('dismissed', () => {
+            this._dismissed = true;
+            this._hideWarning();
+        });
+
+        Main.layoutManager.addTopChrome(this._warning);
+        this._warning.updatePosition();
+    }
+
+    _hideWarning() {
+        this._reset();
+
+        if (this._warning) {
+            Main.layoutManager.removeChrome(this._warning);
+            this._warning.destroy();
+            this._warning = null;
+        }
+    }
+
+    destroy() {
+        if (this._listening) {
+            this._inputManager.removeKeyListener(this._onKeyEvent);
+            this._listening = false;
+        }
+
+        if (this._monitorsChangedId) {
+            Main.layoutManager.disconnect(this._monitorsChangedId);
+            this._monitorsChangedId = null;
+        }
+
+        this._hideWarning();
+        this._settingsManager = null;
+        this._inputManager = null;
+    }
+}
+
+// Keybinding schemas listed by the shortcut cheat sheet, missing ones are skipped
+const SHORTCUT_SCHEMAS = [
+    'org.gnome.desktop.wm.keybindings',
+    'org.gnome.mutter.keybindings',
+    'org.gnome.mutter.wayland.keybindings',
+    'org.gnome.shell.keybindings',
+    'org.gnome.settings-daemon.plugins.media-keys',
+];
+const CUSTOM_KEYBINDING_SCHEMA = 'org.gnome.settings-daemon.plugins.media-keys.custom-keybinding';
+const SHORTCUT_OVERLAY_ROWS = 16;
+const SHORTCUT_OVERLAY_COLUMNS = 3;
+
+// Returns [{ title, accelerators }, ...] for every keybinding of SHORTCUT_SCHEMAS,
+// including the custom shortcuts of the media-keys plugin
+function readKeybindings() {
+    const source = Gio.SettingsSchemaSource.get_default();
+    const customSchema = source.lookup(CUSTOM_KEYBINDING_SCHEMA, true);
+    const bindings = [];
+
+    for (const schemaId of SHORTCUT_SCHEMAS) {
+        const schema = source.lookup(schemaId, true);
+        if (!schema) {
+            continue;
+        }
+
+        const settings = new Gio.Settings({ settings_schema: schema });
+        for (const key of schema.list_keys()) {
+            if (key === 'custom-keybindings') {
+                continue;
+            }
+
+            // Older media-keys releases keep a single accelerator per key
+            const schemaKey = schema.get_key(key);
+            const type = schemaKey.get_value_type().dup_string();
+            if (type === 'as' || type === 's') {
+                const value = settings.get_value(key).deep_unpack();
+                bindings.push({
+                    title: schemaKey.get_summary() || key,
+                    accelerators: type === 'as' ? value : [value],
+                });
+            }
+        }
+
+        if (customSchema && schema.has_key('custom-keybindings')) {
+            for (const path of settings.get_strv('custom-keybindings')) {
+                const custom = new Gio.Settings({ settings_schema: customSchema, path });
+                bindings.push({
+                    title: custom.get_string('name'),
+                    accelerators: [custom.get_string('binding')],
+                });
+            }
+        }
+    }
+
+    return bindings;
+}
+
+const ShortcutOverlay = GObject.registerClass(
+    class ShortcutOverlay extends Clutter.Actor {
+        // rows is [[keys, title], ...], already formatted
+        _init(title, rows, fontScale) {
+            super._init({
+                x_expand: true,
+                y_expand: true,
+                x_align: Clutter.ActorAlign.CENTER,
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+
+            this.add_constraint(new Layout.MonitorConstraint({ primary: true }));
+
+            const box = new St.BoxLayout({
+                style_class: 'osd-window kbd-shortcuts',
+                style: `font-size: ${fontScale}em;`,
+                vertical: true,
+            });
+            box.add_child(new St.Label({
+                text: title,
+                style_class: 'kbd-shortcuts-title',
+                x_align: Clutter.ActorAlign.CENTER,
+            }));
+
+            // The last place is taken by the count of the shortcuts left out
+            const maxRows = SHORTCUT_OVERLAY_ROWS * SHORTCUT_OVERLAY_COLUMNS;
+            const shownRows = rows.length > maxRows ? rows.slice(0, maxRows - 1) : rows;
+            const columns = new St.BoxLayout({ style_class: 'kbd-shortcuts-columns' });
+            for (let i = 0; i < shownRows.length; i += SHORTCUT_OVERLAY_ROWS) {
+                columns.add_child(this._createColumn(shownRows.slice(i, i + SHORTCUT_OVERLAY_ROWS)));
+            }
+            box.add_child(columns);
+
+            if (shownRows.length < rows.length) {
+                const hidden = rows.length - shownRows.length;
+                box.add_child(new St.Label({
+                    text: ngettext('and %d more shortcut', 'and %d more shortcuts', hidden).format(hidden),
+                    style_class: 'kbd-shortcuts-more',
+                    x_align: Clutter.ActorAlign.CENTER,
+                }));
+            }
+            this.add_child(box);
+
+            Main.uiGroup.add_child(this);
+        }
+
+        // Keys and titles sit in two boxes side by side, so that they line up
+        _createColumn(rows) {
+            const column = new St.BoxLayout({ style_class: 'kbd-shortcuts-column' });
+            const keysBox = new St.BoxLayout({ vertical: true, style_class: 'kbd-shortcuts-keys' });
+            const titlesBox = new St.BoxLayout({ vertical: true });
+
+            rows.forEach(([keys, title]) => {
+                keysBox.add_child(new St.Label({ text: keys, x_align: Clutter.ActorAlign.END }));
+                titlesBox.add_child(new St.Label({ text: title }));
+            });
+
+            column.add_child(keysBox);
+            column.add_child(titlesBox);
+            return column;
+        }
+    });
+
+// Lists the shortcuts that start with the held modifiers once they have been
+// held for a while. Releasing them or pressing any other key hides the list,
+// which then stays hidden until the held modifiers change.
+class ShortcutCheatSheet {
+    constructor(settingsManager, inputManager) {
+        this._settingsManager = settingsManager;
+        this._inputManager = inputManager;
+        this._heldMask = 0;
+        this._delayId = 0;
+        this._overlay = null;
+        this._listening = false;
+        this._onKeyEvent = this._onKeyEvent.bind(this);
+    }
+
+    setHeldModifiers(mask) {
+        if (mask === this._heldMask) {
+            return;
+        }
+
+        this._heldMask = mask;
+        this._cancel();
+
+        const { enabled, delay } = this._settingsManager.shortcutOverlay;
+        if (!mask || !enabled || Main.sessionMode.isLocked) {
+            this._setListening(false);
+            return;
+        }
+
+        this._setListening(true);
+        this._delayId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delay, () => {
+            this._delayId = 0;
+            this._show();
+            return GLib.SOURCE_REMOVE;
+        });
+        GLib.Source.set_name_by_id(this._delayId, '[gnome-shell] ShortcutCheatSheet._show');
+    }
+
+    update() {
+        if (!this._settingsManager.shortcutOverlay.enabled) {
+            this._cancel();
+            this._setListening(false);
+        }
+    }
+
+    _setListening(listen) {
+        if (listen && !this._listening) {
+            this._inputManager.addKeyListener(this._onKeyEvent);
+        } else if (!listen && this._listening) {
+            this._inputManager.removeKeyListener(this._onKeyEvent);
+        }
+        this._listening = listen;
+    }
+
+    _onKeyEvent({ pressed, keyval }) {
+        if (pressed && !KEYVAL_MODIFIER_MASKS.has(keyval)) {
+            this._cancel();
+        }
+    }
+
+    _show() {
+        let shortcuts;
+        try {
+            shortcuts = findShortcuts(readKeybindings(), this._heldMask);
+        } catch (error) {
+            console.error(`${LOG_TAG} Error reading keybindings: ${error}`);
+            return;
+        }
+
+        if (shortcuts.length === 0) {
+            return;
+        }
+
+        const formatter = new KeyComboFormatter(this._settingsManager.symbols.modifiers);
+        const rows = shortcuts.map(({ title, mask, key }) => [formatter.formatAccelerator(mask, key), title]);
+        const { fontScale } = this._settingsManager.shortcutOverlay;
+
+        this._overlay = new ShortcutOverlay(formatter.formatModifiers(this._heldMask), rows, fontScale);
+        this._overlay.opacity = 0;
+        this._overlay.ease({
+            opacity: 255,
+            duration: this._settingsManager.osd.fadeTime,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+        });
+    }
+
+    _cancel() {
+        if (this._delayId) {
+            GLib.source_remove(this._delayId);
+            this._delayId = 0;
+        }
+
+        if (this._overlay) {
+            this._overlay.destroy();
+            this._overlay = null;
+        }
+    }
+
+    destroy() {
+        this._cancel();
+        this._setListening(false);
+        this._settingsManager = null;
+        this._inputManager = null;
+    }
+}
+
+class LockScreenManager {
+    constructor() {
+        this._sessionModeId = null;
+        this._warning = null;
+        this._capsLockActive = false;
+        this.onLockedChanged = null;
+    }
+
+    initialize() {
+        this._sessionModeId = Main.sessionMode.connect('updated', () => {
+            this._updateWarning();
+            if (this.onLockedChanged) {
+                this.onLockedChanged(this.isLocked);
+            }
+        });
+    }
+
+    get isLocked() {
+        return Main.sessionMode.isLocked;
+    }
+
+    setCapsLockActive(active) {
+        this._capsLockActive = active;
+        this._updateWarning();
+    }
+
+    _updateWarning() {
+        // The prompt box belongs to the unlock dialog, which is created when
+        // the screen locks and destroyed, along with the warning, on unlock
+        const promptBox = Main.screenShield?._dialog?._promptBox;
+        const show = this.isLocked && this._capsLockActive && !!promptBox;
+
+        if (show && this._warning?.get_parent() !== promptBox) {
+            this._warning?.destroy();
+            this._warning = new CapsLockWarning();
+            this._warning.connect('destroy', warning => {
+                if (this._warning === warning) {
+                    this._warning = null;
+                }
+            });
+            promptBox.add_child(this._warning);
+        } else if (!show && this._warning) {
+            this._warning.destroy();
+        }
+    }
+
+    destroy() {
+        if (this._sessionModeId) {
+            Main.sessionMode.disconnect(this._sessionModeId);
+            this._sessionModeId = null;
+        }
+
+        this._warning?.destroy();
+        this.onLockedChanged = null;
+    }
+}
+
+const CAPS_RELEASE_REASON = {
+    IDLE: 'idle',
+    FOCUS: 'focus',
+    LOCK: 'lock',
+};
+
+// Turns Caps Lock off after a period without user input, when the focused
+// window changes or when the screen locks, as configured. The idle time comes
+// from the core idle monitor, because key events sent to application windows
+// never reach the stage.
+class CapsLockReleaser {
+    constructor(settingsManager, inputManager) {
+        this._settingsManager = settingsManager;
+        this._inputManager = inputManager;
+        this._idleMonitor = global.backend.get_core_idle_monitor();
+        this._capsLockActive = false;
+        this._idleWatchId = 0;
+        this._pendingReason = null;
+    }
+
+    onFocusChanged() {
+        if (this._settingsManager.capsRelease.onFocusChange) {
+            this._release(CAPS_RELEASE_REASON.FOCUS);
+        }
+    }
+
+    setCapsLockActive(active) {
+        if (active === this._capsLockActive) {
+            return;
+        }
+
+        this._capsLockActive = active;
+        this.update();
+    }
+
+    setLocked(locked) {
+        if (locked && this._settingsManager.capsRelease.onLock) {
+            this._release(CAPS_RELEASE_REASON.LOCK);
+        }
+    }
+
+    // Returns why Caps Lock was last turned off by this class, once
+    takeReleaseReason() {
+        const reason = this._pendingReason;
+        this._pendingReason = null;
+        return reason;
+    }
+
+    update() {
+        this._removeIdleWatch();
+
+        const { timeout } = this._settingsManager.capsRelease;
+        if (!this._capsLockActive || timeout <= 0) {
+            return;
+        }
+
+        // An idle watch only fires when the idle time crosses its interval,
+        // so a timeout shortened below the current idle time applies at once
+        const timeoutMs = timeout * 1000;
+        if (this._idleMonitor.get_idletime() >= timeoutMs) {
+            this._release(CAPS_RELEASE_REASON.IDLE);
+            return;
+        }
+
+        this._idleWatchId = this._idleMonitor.add_idle_watch(timeoutMs, () => {
+            this._release(CAPS_RELEASE_REASON.IDLE);
+        });
+    }
+
+    _removeIdleWatch() {
+        if (this._idleWatchId) {
+            this._idleMonitor.remove_watch(this._idleWatchId);
+            this._idleWatchId = 0;
+        }
+    }
+
+    _release(reason) {
+        if (!this._capsLockActive) {
+            return;
+        }
+
+        console.debug(`${LOG_TAG} Releasing Caps Lock (${reason})`);
+        this._pendingReason = reason;
+        this._inputManager.setLockState(MODIFIER_MASKS.LOCK, false);
+    }
+
+    destroy() {
+        this._removeIdleWatch();
+        this._idleMonitor = null;
+        this._settingsManager = null;
+        this._inputManager = null;
+    }
+}
+
+const APP_LOCKS = [
+    [MODIFIER_MASKS.LOCK, 'caps'],
+    [MODIFIER_MASKS.MOD2, 'num'],
+];
+
+// Restores the Caps and Num Lock state when an application gets the focus,
+// either from a per-application rule or from the state it had when it was
+// last left. Remembered states only live for the session.
+class AppLockMemory {
+    constructor(settingsManager, inputManager) {
+        this._settingsManager = settingsManager;
+        this._inputManager = inputManager;
+        this._windowTracker = Shell.WindowTracker.get_default();
+        this._rememberedStates = new Map();
+        this._currentAppIds = [];
+    }
+
+    update() {
+        if (!this._settingsManager.appLocks.memory) {
+            this._rememberedStates.clear();
+        }
+    }
+
+    // Returns the mask of the locks that were set for the newly focused window
+    onFocusChanged(window) {
+        const appIds = window ? this._getAppIds(window) : [];
+        if (appIds.length > 0 && appIds[0] === this._currentAppIds[0]) {
+            return 0; // Dialogs and other windows of the same application
+        }
+
+        const { memory, rules } = this._settingsManager.appLocks;
+        if (memory && this._currentAppIds.length > 0) {
+            this._rememberedStates.set(this._currentAppIds[0], new Map(APP_LOCKS.map(([mask]) =>
+                [mask, this._inputManager.isLockActive(mask)]
+            )));
+        }
+        this._currentAppIds = appIds;
+
+        if (appIds.length === 0) {
+            return 0;
+        }
+
+        const rule = appIds.map(id => rules.get(id)).find(Boolean) ?? {};
+        const remembered = memory ? this._rememberedStates.get(appIds[0]) : null;
+
+        let restoredMask = 0;
+        for (const [mask, name] of APP_LOCKS) {
+            let active = null;
+            if (rule[name] === 'on' || rule[name] === 'off') {
+                active = rule[name] === 'on';
+            } else if (remembered) {
+                active = remembered.get(mask);
+            }
+
+            if (active !== null) {
+                this._inputManager.setLockState(mask, active);
+                restoredMask |= mask;
+            }
+        }
+
+        return restoredMask;
+    }
+
+    // Rules may name the application ID, with or without .desktop, or the WM class
+    _getAppIds(window) {
+        const appId = this._windowTracker.get_window_app(window)?.get_id() ?? '';
+        const ids = [
+            appId,
+            appId.replace(/\.desktop$/, ''),
+            window.get_wm_class() ?? '',
+            window.get_wm_class_instance() ?? '',
+        ];
+
+        return [...new Set(ids.filter(Boolean).map(id => id.toLowerCase()))];
+    }
+
+    destroy() {
+        this._rememberedStates.clear();
+        this._settingsManager = null;
+        this._inputManager = null;
+        this._windowTracker = null;
+    }
+}
+
+const DBUS_INTERFACE = 'org.gnome.Shell.Extensions.KbdInformer';
+const DBUS_OBJECT_PATH = '/org/gnome/Shell/Extensions/KbdInformer';
+
+// Exports the modifier state on the session bus, under the shell's own name.
+// The interface is described in dbus-interfaces/, and examples/ has a client.
+class DBusService {
+    constructor(extensionDir) {
+        this._extensionDir = extensionDir;
+        this._dbusObject = null;
+        this._mask = 0;
+        this._symbols = [];
+        this.onShowOsd = null;
+    }
+
+    initialize() {
+        const file = this._extensionDir.get_child('dbus-interfaces').get_child(`${DBUS_INTERFACE}.xml`);
+
+        try {
+            const [, contents] = file.load_contents(null);
+            this._dbusObject = Gio.DBusExportedObject.wrapJSObject(new TextDecoder().decode(contents), this);
+            this._dbusObject.export(Gio.DBus.session, DBUS_OBJECT_PATH);
+        } catch (e) {
+            console.error(`${LOG_TAG} Could not export D-Bus interface: ${e}`);
+            this._dbusObject = null;
+        }
+    }
+
+    get ModifierMask() {
+        return this._mask;
+    }
+
+    get ActiveSymbols() {
+        return this._symbols;
+    }
+
+    get CapsLock() {
+        return (this._mask & MODIFIER_MASKS.LOCK) !== 0;
+    }
+
+    get NumLock() {
+        return (this._mask & MODIFIER_MASKS.MOD2) !== 0;
+    }
+
+    get ScrollLock() {
+        return (this._mask & MODIFIER_MASKS.MOD3) !== 0;
+    }
+
+    // Ignored on the lock screen, where any client could otherwise put
+    // arbitrary text next to the password prompt
+    ShowOSD(title, status) {
+        if (Main.sessionMode.isLocked) {
+            return;
+        }
+        if (this.onShowOsd) {
+            this.onShowOsd(title, status);
+        }
+    }
+
+    update(mask, symbols) {
+        const maskChanged = mask !== this._mask;
+        const symbolsChanged = symbols.join('\n') !== this._symbols.join('\n');
+        if (!maskChanged && !symbolsChanged) {
+            return;
+        }
+
+        const previousMask = this._mask;
+        this._mask = mask;
+        this._symbols = symbols;
+
+        if (!this._dbusObject) {
+            return;
+        }
+
+        if (maskChanged) {
+            this._dbusObject.emit_property_changed('ModifierMask', GLib.Variant.new_uint32(mask));
+
+            [['CapsLock', MODIFIER_MASKS.LOCK], ['NumLock', MODIFIER_MASKS.MOD2], ['ScrollLock', MODIFIER_MASKS.MOD3]]
+                .filter(([, lockMask]) => (mask ^ previousMask) & lockMask)
+                .forEach(([property, lockMask]) => {
+                    this._dbusObject.emit_property_changed(property, GLib.Variant.new_boolean((mask & lockMask) !== 0));
+                });
+        }
+
+        if (symbolsChanged) {
+            this._dbusObject.emit_property_changed('ActiveSymbols', new GLib.Variant('as', symbols));
+        }
+
+        this._dbusObject.emit_signal('ModifiersChanged', new GLib.Variant('(uas)', [mask, symbols]));
+    }
+
+    destroy() {
+        if (this._dbusObject) {
+            this._dbusObject.flush();
+            this._dbusObject.unexport();
+            this._dbusObject = null;
+        }
+
+        this._extensionDir = null;
+        this.onShowOsd = null;
+    }
+}
+
+// Plays a sound when a lock key is toggled. Sounds are either names from the
+// sound theme or paths to sound files. Meta.SoundPlayer has no volume control,
+// so GSound is used instead when it is installed.
+class LockSoundPlayer {
+    constructor(settingsManager) {
+        this._settingsManager = settingsManager;
+        this._gsound = null;
+        this._gsoundContext = null;
+        this._destroyed = false;
+    }
+
+    initialize() {
+        import('gi://GSound').then(({ default: GSound }) => {
+            if (this._destroyed) {
+                return;
+            }
+
+            const context = new GSound.Context();
+            context.init(null);
+            this._gsound = GSound;
+            this._gsoundContext = context;
+        }).catch(e => {
+            console.debug(`${LOG_TAG} GSound is not available, sounds play at full volume: ${e}`);
+        });
+    }
+
+    // notifiedMask holds the modifiers an OSD was just shown for
+    play(stateTracker, notifiedMask) {
+        const { enabled, onlyWhenOsdSuppressed, volume, sounds } = this._settingsManager.lockSounds;
+        if (!enabled || volume === 0) {
+            return;
+        }
+
+        for (const [mask, { on, off }] of sounds) {
+            const change = stateTracker.getModifierChangeInfo(mask);
+            if (!change || (onlyWhenOsdSuppressed && (notifiedMask & mask))) {
+                continue;
+            }
+
+            const description = change.isActive
+                ? _('%s on').format(_(MODIFIER_NAMES.get(mask)))
+                : _('%s off').format(_(MODIFIER_NAMES.get(mask)));
+            this._playSound(change.isActive ? on : off, description, volume);
+        }
+    }
+
+    _playSound(sound, description, volume) {
+        if (!sound) {
+            return;
+        }
+
+        const isFile = sound.startsWith('/') || sound.includes('://');
+
+        try {
+            if (this._gsoundContext) {
+                const GSound = this._gsound;
+                this._gsoundContext.play_simple({
+                    [isFile ? GSound.ATTR_MEDIA_FILENAME : GSound.ATTR_EVENT_ID]: isFile
+                        ? Gio.File.new_for_commandline_arg(sound).get_path()
+                        : sound,
+                    [GSound.ATTR_EVENT_DESCRIPTION]: description,
+                    // Volume is in dB relative to the stream volume
+                    [GSound.ATTR_CANBERRA_VOLUME]: (20 * Math.log10(volume / 100)).toFixed(1),
+                }, null);
+                return;
+            }
+
+            const player = global.display.get_sound_player();
+            if (isFile) {
+                player.play_from_file(Gio.File.new_for_commandline_arg(sound), description, null);
+            } else {
+                player.play_from_theme(sound, description, null);
+            }
+        } catch (e) {
+            console.warn(`${LOG_TAG} Could not play sound ${sound}: ${e}`);
+        }
+    }
+
+    destroy() {
+        this._destroyed = true;
+        this._gsoundContext = null;
+        this._gsound = null;
+        this._settingsManager = null;
+    }
+}
+
+class InputSourceTracker {
+    constructor() {
+        this._manager = null;
+        this._sourceChangedId = null;
+        this.onSourceChanged = null;
+    }
+
+    initialize() {
+        this._manager = Keyboard.getInputSourceManager();
+        this._sourceChangedId = this._manager.connect('current-source-changed', (_manager, oldSource) => {
+            const newSource = this._manager.currentSource;
+
+            // Sources are also re-announced when the source list is reloaded
+            const switched = !!oldSource && !!newSource && oldSource.id !== newSource.id;
+            if (this.onSourceChanged) {
+                this.onSourceChanged(newSource, switched);
+            }
+        });
+    }
+
+    getCurrentSource() {
+        return this._manager ? this._manager.currentSource : null;
+    }
+
+    switchSource(step) {
+        const current = this.getCurrentSource();
+        const sources = this._manager ? Object.values(this._manager.inputSources) : [];
+        if (!current || sources.length < 2) {
+            return;
+        }
+
+        const next = sources[(current.index + step + sources.length) % sources.length];
+        next.activate(true);
+    }
+
+    destroy() {
+        if (this._manager && this._sourceChangedId) {
+            this._manager.disconnect(this._sourceChangedId);
+            this._sourceChangedId = null;
+        }
+        this._manager = null;
+        this.onSourceChanged = null;
+    }
+}
+
+/**
+ * Main extension class
+ */
+export default class KeyboardModifiersStatusExtension extends Extension {
+    constructor(metadata) {
+        super(metadata);
+        console.debug(`${LOG_TAG} Constructor completed for ${this.metadata.name}`);
+    }
+
+    enable() {
+        console.debug(`${LOG_TAG} Enabling extension...`);
+
+        this._stateTracker = new ModifierStateTracker();
+        this._lockChanges = new LockChangeCollector();
+        this._settingsManager = new SettingsManager(this);
+        this._panelIndicator = new PanelIndicator(this.uuid);
+        this._panelIndicator.onAction = this._onPanelAction.bind(this);
+        this._inputManager = new InputDeviceManager();
+        this._inputSourceTracker = new InputSourceTracker();
+        this._inputSourceTracker.onSourceChanged = this._onInputSourceChanged.bind(this);
+        this._lockScreenManager = new LockScreenManager();
+        this._lockScreenManager.onLockedChanged = locked => {
+            this._panelIndicator.setLocked(locked);
+            this._capsLockReleaser.setLocked(locked);
+            this._capsTypingDetector.setLocked(locked);
+        };
+        this._capsLockReleaser = new CapsLockReleaser(this._settingsManager, this._inputManager);
+        this._appLockMemory = new AppLockMemory(this._settingsManager, this._inputManager);
+        this._lockSoundPlayer = new LockSoundPlayer(this._settingsManager);
+        this._capsTypingDetector = new CapsTypingDetector(this._settingsManager, this._inputManager);
+        this._shortcutCheatSheet = new ShortcutCheatSheet(this._settingsManager, this._inputManager);
+        this._dbusService = new DBusService(this.dir);
+        this._dbusService.onShowOsd = (title, status) => this._showNotification(title, status);
+        this._statisticsRecorder = new StatisticsRecorder(this._settingsManager);
+        this._settingsManager.onSettingsChanged = () => {
+            this._osdManager.setConfig(this._settingsManager.osd);
+            this._panelIndicator.setActions(this._settingsManager.panelActions);
+            this._panelIndicator.setPlacement(this._settingsManager.panelPlacement);
+            this._inputManager.setStickyKeysEnabled(this._settingsManager.stickyKeysEnabled);
+            this._screencastManager.update();
+            this._capsLockReleaser.update();
+            this._appLockMemory.update();
+            this._capsTypingDetector.update();
+            this._shortcutCheatSheet.update();
+            this._updatePanelIndicator();
+            this._updateDBusState();
+        };
+        this._settingsManager.initialize();
+        this._statisticsRecorder.initialize();
+        this._statisticsResetId = this._settingsManager.settings.connect('changed::statistics-reset', () => {
+            this._statisticsRecorder.reset();
+        });
+        this._osdManager = new ModifiersOSDManager(this._settingsManager.osd);
+        this._panelIndicator.initialize(
+            this._settingsManager.panelActions,
+            this._settingsManager.panelPlacement
+        );
+        this._panelIndicator.setLocked(this._lockScreenManager.isLocked);
+        this._inputSourceTracker.initialize();
+        this._lockScreenManager.initialize();
+        this._inputManager.initialize(this._onModifierStateChanged.bind(this));
+        this._inputManager.setStickyKeysEnabled(this._settingsManager.stickyKeysEnabled);
+        this._screencastManager = new ScreencastManager(this._settingsManager, this._inputManager);
+        this._screencastManager.initialize();
+        this._dbusService.initialize();
+        this._lockSoundPlayer.initialize();
+        this._capsTypingDetector.initialize();
+        this._focusWindowId = global.display.connect('notify::focus-window',
+            this._onFocusWindowChanged.bind(this));
+
+        console.debug(`${LOG_TAG} Extension enabled successfully`);
+    }
+
+    // The extension also runs in the unlock-dialog session mode so that the
+    // lock keys stay visible and a Caps Lock warning can be shown next to the
+    // password prompt. The shell therefore keeps it enabled while the screen
+    // is locked and only calls this when it is turned off or the session
+    // ends. Components that must stay quiet on the lock screen check
+    // Main.sessionMode.isLocked themselves: the D-Bus ShowOSD method, the
+    // focus change handling, the screencast mode, the Caps Lock typing
+    // warning and the shortcut cheat sheet.
+    disable() {
+        console.debug(`${LOG_TAG} Disabling extension...`);
+
+        if (this._focusWindowId) {
+            global.display.disconnect(this._focusWindowId);
+            this._focusWindowId = null;
+        }
+
+        if (this._statisticsResetId) {
+            this._settingsManager.settings.disconnect(this._statisticsResetId);
+            this._statisticsResetId = null;
+        }
+
+        [
+            this._shortcutCheatSheet,
+            this._capsTypingDetector,
+            this._lockSoundPlayer,
+            this._dbusService,
+            this._appLockMemory,
+            this._capsLockReleaser,
+            this._statisticsRecorder,
+            this._screencastManager,
+            this._lockScreenManager,
+            this._inputSourceTracker,
+            this._inputManager,
+            this._panelIndicator,
+            this._osdManager,
+            this._settingsManager
+        ].forEach(component => {
+            if (component) {
+                component.destroy();
+            }
+        });
+
+
+        this._stateTracker = null;
+        this._lockChanges = null;
+        this._settingsManager = null;
+        this._osdManager = null;
+        this._panelIndicator = null;
+        this._inputManager = null;
+        this._inputSourceTracker = null;
+        this._lockScreenManager = null;
+        this._screencastManager = null;
+        this._statisticsRecorder = null;
+        this._capsLockReleaser = null;
+        this._appLockMemory = null;
+        this._dbusService = null;
+        this._lockSoundPlayer = null;
+        this._capsTypingDetector = null;
+        this._shortcutCheatSheet = null;
+
+        console.debug(`${LOG_TAG} Extension disabled successfully`);
+    }
+
+    _onModifierStateChanged(state, sticky) {
+        this._stateTracker.updateState(state, sticky);
+
+        if (!this._stateTracker.hasStateChanged()) {
+            return;
+        }
+
+        const notifiedMask = this._handleModifierNotifications();
+        this._lockSoundPlayer.play(this._stateTracker, notifiedMask);
+        const lockChanges = (this._stateTracker.previousState ^ this._stateTracker.currentState) & LOCK_MODIFIERS_MASK;
+        this._statisticsRecorder.record(this._stateTracker, this._inputManager.takeOwnLockChanges(lockChanges));
+        this._updatePanelIndicator();
+        this._panelIndicator.updateState(state);
+
+        const capsLockActive = this._stateTracker.isModifierActive(MODIFIER_MASKS.LOCK);
+        this._lockScreenManager.setCapsLockActive(capsLockActive);
+        this._capsLockReleaser.setCapsLockActive(capsLockActive);
+        this._capsTypingDetector.setCapsLockActive(capsLockActive);
+        this._shortcutCheatSheet.setHeldModifiers(this._stateTracker.getHeldModifiers());
+        this._updateDBusState();
+    }
+
+    _updateDBusState() {
+        const state = this._stateTracker.currentState ?? 0;
+        const symbols = this._settingsManager.symbols.modifiers
+            .filter(([mask]) => this._stateTracker.isModifierActive(mask))
+            .map(([, text]) => text)
+            .filter(text => text !== '');
+
+        this._dbusService.update(state & ALL_MODIFIERS_MASK, symbols);
+    }
+
+    _onFocusWindowChanged() {
+        // The lock screen takes the focus, which is no application switch
+        if (this._lockScreenManager.isLocked) {
+            return;
+        }
+
+        const restoredMask = this._appLockMemory.onFocusChanged(global.display.focus_window);
+
+        // A per-application Caps Lock state takes precedence over releasing it
+        if (!(restoredMask & MODIFIER_MASKS.LOCK)) {
+            this._capsLockReleaser.onFocusChanged();
+        }
+    }
+
+    _onPanelAction(action, params) {
+        switch (action) {
+            case 'menu':
+                this._panelIndicator.toggleMenu();
+                break;
+            case 'preferences':
+                if (!this._lockScreenManager.isLocked) {
+                    this.openPreferences();
+                }
+                break;
+            case 'switch-layout':
+                this._inputSourceTracker.switchSource(params.direction > 0 ? -1 : 1);
+                break;
+            case 'set-lock':
+                this._inputManager.setLockState(params.mask, params.active);
+                break;
+            case 'toggle-caps':
+            case 'toggle-num':
+            case 'toggle-scroll': {
+                // Scrolling up turns the lock on, scrolling down turns it off
+                const mask = PANEL_ACTION_LOCKS[action];
+                if (params.direction) {
+                    this._inputManager.setLockState(mask, params.direction > 0);
+                } else {
+                    this._inputManager.toggleLock(mask);
+                }
+                break;
+            }
+        }
+    }
+
+    // Returns the mask of the modifiers an OSD was shown for. With the LED bar
+    // layout, lock changes share one popup instead of replacing each other.
+    _handleModifierNotifications() {
+        const capsChange = this._stateTracker.getModifierChangeInfo(MODIFIER_MASKS.LOCK);
+        const capsReleaseReason = capsChange && !capsChange.isActive
+            ? this._capsLockReleaser.takeReleaseReason()
+            : null;
+
+        const notifications = selectNotifications(this._stateTracker, this._settingsManager.notifications, {
+            stickyKeysEnabled: this._settingsManager.stickyKeysEnabled,
+            capsReleaseReason,
+        });
+
+        const useLeds = this._settingsManager.osd.layout === 'leds';
+        let notifiedMask = 0;
+        let ledMask = 0;
+        let ledStatus = '';
+
+        for (const { mask, title, message, isActive, stickyState, releaseReason } of notifications) {
+            const status = releaseReason ? `${title} – ${this._getReleaseReasonText(releaseReason)}` : title;
+            if (useLeds && (mask & LOCK_MODIFIERS_MASK)) {
+                ledMask |= mask;
+                ledStatus = releaseReason ? status : ledStatus;
+            } else {
+                this._showNotification(_(message), status, this._getNotificationOptions(mask, isActive, stickyState));
+            }
+            notifiedMask |= mask;
+        }
+
+        if (ledMask) {
+            this._showLockLeds(ledMask, ledStatus);
+        }
+
+        return notifiedMask;
+    }
+
+    _showLockLeds(mask, status) {
+        const time = GLib.get_monotonic_time() / 1000;
+        const changedMask = this._lockChanges.add(mask, time, this._settingsManager.osd.mergeTime);
+        const leds = buildLockLeds(this._stateTracker, this._settingsManager.notifications, changedMask);
+
+        try {
+            this._osdManager.showLeds(leds, status);
+        } catch (error) {
+            console.error(`${LOG_TAG} Error showing OSD notification: ${error}`);
+        }
+    }
+
+    _getReleaseReasonText(reason) {
+        switch (reason) {
+            case CAPS_RELEASE_REASON.IDLE: {
+                const { timeout } = this._settingsManager.capsRelease;
+                return ngettext('turned off after %d second without typing',
+                    'turned off after %d seconds without typing', timeout).format(timeout);
+            }
+            case CAPS_RELEASE_REASON.FOCUS:
+                return _('turned off on window change');
+            case CAPS_RELEASE_REASON.LOCK:
+                return _('turned off on screen lock');
+            default:
+                return _('turned off automatically');
+        }
+    }
+
+    _onInputSourceChanged(source, switched) {
+        this._updatePanelIndicator();
+
+        if (switched && this._settingsManager.layout.showOsd) {
+            this._showNotification(this._getLayoutLabel(source), source.displayName, { modifier: 'layout' });
+        }
+    }
+
+    _getLayoutLabel(source) {
+        const customName = this._settingsManager.layout.shortNames[source.id];
+        return customName || source.shortName.toUpperCase();
+    }
+
+    _updatePanelIndicator() {
+        const source = this._inputSourceTracker.getCurrentSource();
+        const layoutLabel = this._settingsManager.layout.show && source ? this._getLayoutLabel(source) : null;
+
+        this._panelIndicator.updateSymbols(buildIndicatorSymbols(this._stateTracker, this._settingsManager.symbols, {
+            stickyKeysEnabled: this._settingsManager.stickyKeysEnabled,
+            layoutLabel,
+            panelSymbols: this._settingsManager.panelSymbols.mode,
+            hiddenMask: this._settingsManager.panelSymbols.hiddenMask,
+        }));
+    }
+
+    _getNotificationOptions(mask, isActive, stickyState) {
+        const symbols = this._settingsManager.symbols;
+        return {
+            stickyState,
+            gicon: symbols.mode === 'icon' ? symbols.icons.get(mask) : null,
+            modifier: MODIFIER_KEY_NAMES.get(mask),
+            isActive,
+            colors: symbols.colors.get(mask),
+        };
     }
 
-    _showNotification(title, message) {
+    _showNotification(title, message, options = {}) {
         try {
-            this._osdManager.show(title, message);
+            this._osdManager.show(title, message, options);
         } catch (error) {
             console.error(`${LOG_TAG} Error showing OSD notification: ${error}`);
         }
@@ -0,0 +1,66 @@
+/* 
+Copyright (C) 2025 Tomáš Mark
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+import { LOCK_MODIFIERS_MASK, MODIFIER_KEY_NAMES } from './modifiers.js';
+
+// Which modifiers the panel shows, the values of the panel-symbols setting
+export const PANEL_SYMBOLS = {
+    ACTIVE: 'active',
+    ALL: 'all',
+    LOCKS: 'locks',
+};
+
+// Builds the symbols shown in the panel from the modifier state and the
+// symbols settings ({ mode, modifiers, icons, colors }). The layout label,
+// when given, goes first so it keeps its place while modifiers come and go.
+// With PANEL_SYMBOLS.ALL and LOCKS inactive modifiers are listed too, with
+// isActive false, so that the indicator keeps its width. Modifiers in
+// hiddenMask and empty text symbols are left out.
+export function buildIndicatorSymbols(stateTracker, symbols, {
+    stickyKeysEnabled = false,
+    layoutLabel = null,
+    panelSymbols = PANEL_SYMBOLS.ACTIVE,
+    hiddenMask = 0,
+} = {}) {
+    const useIcons = symbols.mode === 'icon';
+    const indicatorSymbols = [];
+
+    if (layoutLabel) {
+        indicatorSymbols.push({ name: 'layout', text: layoutLabel, isActive: true });
+    }
+
+    for (const [mask, symbol] of symbols.modifiers) {
+        const isActive = stateTracker.isModifierActive(mask);
+
+        if ((mask & hiddenMask) || (!useIcons && symbol === '') ||
+            (panelSymbols === PANEL_SYMBOLS.LOCKS && !(mask & LOCK_MODIFIERS_MASK)) ||
+            (panelSymbols === PANEL_SYMBOLS.ACTIVE && !isActive)) {
+            continue;
+        }
+
+        indicatorSymbols.push({
+            name: MODIFIER_KEY_NAMES.get(mask),
+            colors: symbols.colors.get(mask),
+            text: symbol,
+            gicon: useIcons ? symbols.icons.get(mask) : null,
+            stickyState: stickyKeysEnabled && isActive ? stateTracker.getStickyState(mask) : null,
+            isActive,
+        });
+    }
+
+    return indicatorSymbols;
+}
@@ -0,0 +1,147 @@
+/* 
+Copyright (C) 2025 Tomáš Mark
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// Modifier state logic shared by the extension and the tests. Nothing here
+// may import from the shell, so that it loads in plain gjs.
+
+// Marks strings for translation; the extension translates them where they are shown
+const N_ = s => s;
+
+// Same values as Clutter.ModifierType, kept as numbers for the same reason
+export const MODIFIER_MASKS = {
+    SHIFT: 1 << 0,
+    LOCK: 1 << 1,
+    CONTROL: 1 << 2,
+    MOD1: 1 << 3,
+    MOD2: 1 << 4,
+    MOD3: 1 << 5,
+    MOD4: 1 << 6,
+    MOD5: 1 << 7,
+};
+
+// Settings key prefix of each modifier, in panel order
+export const MODIFIER_KEYS = [
+    [MODIFIER_MASKS.SHIFT, 'shift'],
+    [MODIFIER_MASKS.LOCK, 'caps'],
+    [MODIFIER_MASKS.CONTROL, 'control'],
+    [MODIFIER_MASKS.MOD1, 'alt'],
+    [MODIFIER_MASKS.MOD2, 'num'],
+    [MODIFIER_MASKS.MOD3, 'scroll'],
+    [MODIFIER_MASKS.MOD4, 'super'],
+    [MODIFIER_MASKS.MOD5, 'altgr'],
+];
+
+export const MODIFIER_KEY_NAMES = new Map(MODIFIER_KEYS);
+
+export const MODIFIER_NAMES = new Map([
+    [MODIFIER_MASKS.SHIFT, N_('Shift')],
+    [MODIFIER_MASKS.LOCK, N_('Caps Lock')],
+    [MODIFIER_MASKS.CONTROL, N_('Control')],
+    [MODIFIER_MASKS.MOD1, N_('Alt')],
+    [MODIFIER_MASKS.MOD2, N_('Num Lock')],
+    [MODIFIER_MASKS.MOD3, N_('Scroll Lock')],
+    [MODIFIER_MASKS.MOD4, N_('Super')],
+    [MODIFIER_MASKS.MOD5, N_('AltGr')],
+]);
+
+export const ALL_MODIFIERS_MASK = Object.values(MODIFIER_MASKS).reduce((all, mask) => all | mask, 0);
+
+export const LOCK_MODIFIERS_MASK = MODIFIER_MASKS.LOCK | MODIFIER_MASKS.MOD2 | MODIFIER_MASKS.MOD3;
+
+// Sticky Keys only latch or lock the modifiers that are not locks themselves
+export const STICKY_MODIFIERS_MASK = ALL_MODIFIERS_MASK & ~LOCK_MODIFIERS_MASK;
+
+export const STICKY_STATE = {
+    LATCHED: 'latched',
+    LOCKED: 'locked',
+};
+
+export const STICKY_STATE_TEXT = {
+    [STICKY_STATE.LATCHED]: N_('Latched'),
+    [STICKY_STATE.LOCKED]: N_('Locked'),
+};
+
+export class ModifierStateTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.currentState = null;
+        this.previousState = null;
+        this.currentSticky = { latched: 0, locked: 0 };
+        this.previousSticky = { latched: 0, locked: 0 };
+    }
+
+    updateState(newState, sticky = { latched: 0, locked: 0 }) {
+        this.previousState = this.currentState;
+        this.currentState = newState;
+        this.previousSticky = this.currentSticky;
+        this.currentSticky = sticky;
+    }
+
+    hasStateChanged() {
+        return this.currentState !== this.previousState ||
+            this.currentSticky.latched !== this.previousSticky.latched ||
+            this.currentSticky.locked !== this.previousSticky.locked;
+    }
+
+    isModifierActive(mask) {
+        return (this.currentState & mask) !== 0;
+    }
+
+    // Modifiers held down right now: locks and modifiers latched or locked
+    // by Sticky Keys stay active without a key being held
+    getHeldModifiers() {
+        const sticky = this.currentSticky.latched | this.currentSticky.locked;
+        return (this.currentState ?? 0) & ~LOCK_MODIFIERS_MASK & ~sticky;
+    }
+
+    getStickyState(mask) {
+        return ModifierStateTracker._stickyStateOf(this.currentSticky, mask);
+    }
+
+    getModifierChangeInfo(mask) {
+        if (this.previousState === null) return null;
+
+        const wasActive = (this.previousState & mask) !== 0;
+        const isActive = (this.currentState & mask) !== 0;
+
+        if (wasActive !== isActive) {
+            return { wasActive, isActive };
+        }
+        return null;
+    }
+
+    getStickyChangeInfo(mask) {
+        if (this.previousState === null) return null;
+
+        const wasSticky = ModifierStateTracker._stickyStateOf(this.previousSticky, mask);
+        const isSticky = ModifierStateTracker._stickyStateOf(this.currentSticky, mask);
+
+        if (wasSticky !== isSticky) {
+            return { wasSticky, isSticky };
+        }
+        return null;
+    }
+
+    static _stickyStateOf(sticky, mask) {
+        if (sticky.locked & mask) return STICKY_STATE.LOCKED;
+        if (sticky.latched & mask) return STICKY_STATE.LATCHED;
+        return null;
+    }
+}
@@ -0,0 +1,114 @@
+/* 
+Copyright (C) 2025 Tomáš Mark
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+import { MODIFIER_MASKS, STICKY_STATE_TEXT } from './modifiers.js';
+
+// Messages are translated by the extension when the OSD shows them
+const N_ = s => s;
+
+export const NOTIFY_POLICY = {
+    NEVER: 'never',
+    ENABLE: 'enable',
+    DISABLE: 'disable',
+    BOTH: 'both',
+};
+
+export function shouldNotify(policy, isActive) {
+    switch (policy) {
+        case NOTIFY_POLICY.BOTH:
+            return true;
+        case NOTIFY_POLICY.ENABLE:
+            return isActive;
+        case NOTIFY_POLICY.DISABLE:
+            return !isActive;
+        default:
+            return false;
+    }
+}
+
+// Decides which OSD notifications the last state change calls for.
+// notifications is [[mask, { policy, title }], ...] as read from the settings;
+// capsReleaseReason is set when Caps Lock was just turned off automatically,
+// which is always announced whatever the policy. Returns
+// [{ mask, title, message, isActive, stickyState, releaseReason }, ...]
+export function selectNotifications(stateTracker, notifications, { stickyKeysEnabled = false, capsReleaseReason = null } = {}) {
+    if (stateTracker.previousState === null) {
+        return []; // Skip notifications on first run
+    }
+
+    const getStickyState = mask => stickyKeysEnabled ? stateTracker.getStickyState(mask) : null;
+    const selected = [];
+
+    for (const [mask, { policy, title }] of notifications) {
+        const change = stateTracker.getModifierChangeInfo(mask);
+
+        if (mask === MODIFIER_MASKS.LOCK && change && !change.isActive && capsReleaseReason) {
+            selected.push({ mask, title, message: N_('Off'), isActive: false, stickyState: null, releaseReason: capsReleaseReason });
+            continue;
+        }
+
+        if (change && shouldNotify(policy, change.isActive)) {
+            const stickyState = change.isActive ? getStickyState(mask) : null;
+            const message = stickyState ? STICKY_STATE_TEXT[stickyState] : change.isActive ? N_('On') : N_('Off');
+            selected.push({ mask, title, message, isActive: change.isActive, stickyState, releaseReason: null });
+            continue;
+        }
+
+        // A latched modifier becoming locked stays active, only its sticky state changes
+        const stickyState = getStickyState(mask);
+        if (!change && stickyState && stateTracker.getStickyChangeInfo(mask) && shouldNotify(policy, true)) {
+            selected.push({ mask, title, message: STICKY_STATE_TEXT[stickyState], isActive: true, stickyState, releaseReason: null });
+        }
+    }
+
+    return selected;
+}
+
+// Lamps of the LED bar OSD layout, in display order
+const LOCK_LEDS = [MODIFIER_MASKS.LOCK, MODIFIER_MASKS.MOD2, MODIFIER_MASKS.MOD3];
+
+// Describes the LED bar for the current lock state. The locks in changedMask
+// are highlighted. Returns [{ mask, title, isActive, changed }, ...]
+export function buildLockLeds(stateTracker, notifications, changedMask) {
+    const titles = new Map(notifications.map(([mask, { title }]) => [mask, title]));
+
+    return LOCK_LEDS.map(mask => ({
+        mask,
+        title: titles.get(mask) ?? '',
+        isActive: stateTracker.isModifierActive(mask),
+        changed: (changedMask & mask) !== 0,
+    }));
+}
+
+// Collects the lock changes that arrive within mergeTime milliseconds of the
+// first one, so that a single LED bar popup highlights all of them
+export class LockChangeCollector {
+    constructor() {
+        this._mask = 0;
+        this._since = 0;
+    }
+
+    // Returns the mask of all locks changed in the current window
+    add(mask, time, mergeTime) {
+        if (time - this._since > mergeTime) {
+            this._mask = 0;
+            this._since = time;
+        }
+        this._mask |= mask;
+        return this._mask;
+    }
+}
@@ -0,0 +1,84 @@
+/* 
+Copyright (C) 2025 Tomáš Mark
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+import { MODIFIER_MASKS } from './modifiers.js';
+
+// Modifier names accepted in accelerator strings such as '<Shift><Super>Left'
+const ACCELERATOR_MODIFIERS = new Map([
+    ['shift', MODIFIER_MASKS.SHIFT],
+    ['control', MODIFIER_MASKS.CONTROL],
+    ['ctrl', MODIFIER_MASKS.CONTROL],
+    ['primary', MODIFIER_MASKS.CONTROL],
+    ['alt', MODIFIER_MASKS.MOD1],
+    ['mod1', MODIFIER_MASKS.MOD1],
+    ['super', MODIFIER_MASKS.MOD4],
+    ['mod4', MODIFIER_MASKS.MOD4],
+]);
+
+// Splits an accelerator into { mask, key }. Returns null for empty or
+// disabled accelerators and for modifiers the extension does not show.
+export function parseAccelerator(accelerator) {
+    const [, modifiers, key] = /^((?:<[^>]*>)*)(.*)$/.exec(accelerator.trim());
+    if (!key || key === 'disabled') {
+        return null;
+    }
+
+    let mask = 0;
+    for (const [, name] of modifiers.matchAll(/<([^>]*)>/g)) {
+        const modifierMask = ACCELERATOR_MODIFIERS.get(name.toLowerCase());
+        if (!modifierMask) {
+            return null;
+        }
+        mask |= modifierMask;
+    }
+
+    return { mask, key };
+}
+
+function countModifiers(mask) {
+    return Object.values(MODIFIER_MASKS).filter(modifierMask => mask & modifierMask).length;
+}
+
+// Picks the shortcuts that need at least the held modifiers, fewest extra
+// modifiers first. bindings is [{ title, accelerators }, ...] as read from the
+// keybinding schemas. Returns [{ title, mask, key }, ...]
+export function findShortcuts(bindings, heldMask) {
+    if (!heldMask) {
+        return [];
+    }
+
+    const seen = new Set();
+    const shortcuts = [];
+
+    for (const { title, accelerators } of bindings) {
+        for (const accelerator of accelerators) {
+            const parsed = parseAccelerator(accelerator);
+            if (!parsed || (parsed.mask & heldMask) !== heldMask) {
+                continue;
+            }
+
+            const id = `${title}\n${parsed.mask}\n${parsed.key.toLowerCase()}`;
+            if (!seen.has(id)) {
+                seen.add(id);
+                shortcuts.push({ title, ...parsed });
+            }
+        }
+    }
+
+    return shortcuts.sort((a, b) =>
+        countModifiers(a.mask) - countModifiers(b.mask) || a.title.localeCompare(b.title));
+}
@@ -0,0 +1,75 @@
+/* 
+Copyright (C) 2025 Tomáš Mark
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+import GLib from 'gi://GLib';
+
+import { LOCK_MODIFIERS_MASK, MODIFIER_KEYS } from './modifiers.js';
+
+// Counts modifier presses and lock toggles into the per-modifier counters of
+// the statistics file. A lock toggled again within accidentalThreshold
+// seconds counts as an accidental toggle. Lock changes in ignoredMask, such
+// as the ones the extension makes itself, are left out entirely. clock
+// returns microseconds. count() returns whether any counter changed.
+export class StatisticsCounter {
+    constructor(clock = GLib.get_monotonic_time) {
+        this._clock = clock;
+        this._lastToggleTimes = new Map();
+    }
+
+    count(modifiers, stateTracker, accidentalThreshold, ignoredMask = 0) {
+        let counted = false;
+
+        for (const [mask, name] of MODIFIER_KEYS) {
+            const change = stateTracker.getModifierChangeInfo(mask);
+            if (!change) {
+                continue;
+            }
+
+            if (mask & ignoredMask) {
+                continue;
+            }
+
+            const counters = modifiers[name];
+            if (!(mask & LOCK_MODIFIERS_MASK)) {
+                if (change.isActive) {
+                    counters.presses++;
+                    counted = true;
+                }
+                continue;
+            }
+
+            const now = this._clock();
+            const lastToggle = this._lastToggleTimes.get(mask);
+            if (lastToggle !== undefined && now - lastToggle < accidentalThreshold * GLib.USEC_PER_SEC) {
+                counters.accidental++;
+            }
+            this._lastToggleTimes.set(mask, now);
+
+            counters.toggles++;
+            counted = true;
+            if (change.isActive) {
+                counters.presses++;
+            }
+        }
+
+        return counted;
+    }
+
+    reset() {
+        this._lastToggleTimes.clear();
+    }
+}
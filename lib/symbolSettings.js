@@ -0,0 +1,264 @@
+/* 
+Copyright (C) 2025 Tomáš Mark
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// Symbol settings and presets of the preferences, kept free of GTK so that
+// the tests can drive them with a memory settings backend
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+const LOG_TAG = 'KBD-Informer-Prefs:';
+
+export const CONFIG_KEYS = {
+    modifiers: [
+        'shift-symbol', 'caps-symbol', 'control-symbol', 'alt-symbol',
+        'num-symbol', 'scroll-symbol', 'super-symbol', 'altgr-symbol'
+    ]
+};
+
+export class SettingsManager {
+    constructor(settings) {
+        this._settings = settings;
+        this._schema = null;
+        this._signalIds = [];
+        this.currentSymbols = {};
+        this.savedSymbols = {};
+    }
+
+    initialize() {
+        this._schema = this._settings.settings_schema;
+        this._loadCurrentState();
+    }
+
+    _loadCurrentState() {
+        const allKeys = CONFIG_KEYS.modifiers;
+        this.currentSymbols = this._getSymbolsFromSettings(allKeys);
+        this.savedSymbols = this._settings.get_value('saved-symbols').deep_unpack();
+
+        console.debug(`${LOG_TAG} Current symbols: ${JSON.stringify(this.currentSymbols)}`);
+        console.debug(`${LOG_TAG} Saved symbols: ${JSON.stringify(this.savedSymbols)}`);
+    }
+
+    _getSymbolsFromSettings(keys) {
+        return Object.fromEntries(
+            keys.map(key => [key, this._settings.get_string(key)])
+        );
+    }
+
+    getSchemaDefaults(keys) {
+        return keys.map(key => this._settings.get_default_value(key).deep_unpack());
+    }
+
+    getSchemaKey(key) {
+        return this._schema.get_key(key);
+    }
+
+    getString(key) {
+        return this._settings.get_string(key);
+    }
+
+    setString(key, value) {
+        this._settings.set_string(key, value);
+        this.currentSymbols[key] = value;
+    }
+
+    listKeys() {
+        return this._schema.list_keys().sort();
+    }
+
+    getVariant(key) {
+        return this._settings.get_value(key);
+    }
+
+    // Applies all values at once so the shell sees a single change
+    setVariants(variants) {
+        this._settings.delay();
+        Object.entries(variants).forEach(([key, variant]) => this._settings.set_value(key, variant));
+        this._settings.apply();
+    }
+
+    bind(key, widget, property) {
+        this._settings.bind(key, widget, property, Gio.SettingsBindFlags.DEFAULT);
+    }
+
+    getValue(key) {
+        return this._settings.get_value(key).deep_unpack();
+    }
+
+    setValue(key, type, value) {
+        this._settings.set_value(key, new GLib.Variant(type, value));
+    }
+
+    connect(signal, callback) {
+        const signalId = this._settings.connect(signal, callback);
+        this._signalIds.push(signalId);
+        return signalId;
+    }
+
+    setSavedSymbols(symbols) {
+        this.savedSymbols = { ...symbols };
+        this._settings.set_value('saved-symbols', new GLib.Variant('a{ss}', this.savedSymbols));
+    }
+
+    symbolsEqual(obj1, obj2) {
+        const keys1 = Object.keys(obj1);
+        const keys2 = Object.keys(obj2);
+
+        if (keys1.length !== keys2.length) return false;
+
+        return keys1.every(key => (obj1[key] ?? '') === (obj2[key] ?? ''));
+    }
+
+    currentDiffersFromSaved(keys) {
+        return keys.some(key =>
+            this.currentSymbols[key] !== (this.savedSymbols[key] ?? '')
+        );
+    }
+
+    destroy() {
+        if (this._settings) {
+            this._signalIds.forEach(signalId => this._settings.disconnect(signalId));
+        }
+
+        this._signalIds = [];
+        this._settings = null;
+        this._schema = null;
+        this.currentSymbols = {};
+        this.savedSymbols = {};
+    }
+}
+
+export class SimpleManager {
+    constructor(settingsManager, keys, defaultValues) {
+        this.settingsManager = settingsManager;
+        this.keys = keys;
+        this.defaultValues = defaultValues;
+    }
+
+    isCurrentEqualToDefault(entryManager) {
+        return this.keys.every((key, i) =>
+            entryManager.getEntryText(key) === this.defaultValues[i]
+        );
+    }
+
+    isCurrentEqualToSaved(entryManager) {
+        return this.keys.every(key =>
+            entryManager.getEntryText(key) === this.settingsManager.currentSymbols[key]
+        );
+    }
+
+    applyDefaults(entryManager) {
+        console.debug(`${LOG_TAG} Applying defaults: ${this.defaultValues}`);
+
+        this.keys.forEach((key, i) => {
+            const value = this.defaultValues[i];
+            entryManager.updateEntry(key, value);
+        });
+    }
+
+    applyValues(entryManager, values) {
+        console.debug(`${LOG_TAG} Applying values: ${JSON.stringify(values)}`);
+
+        this.keys.forEach(key => {
+            entryManager.updateEntry(key, values[key] ?? '');
+        });
+        this.saveCurrentAsPreset(entryManager);
+    }
+
+    saveCurrentAsPreset(entryManager) {
+        const entryTexts = entryManager.getAllEntryTexts(this.keys);
+
+        console.debug(`${LOG_TAG} Saving entries to settings: ${JSON.stringify(entryTexts)}`);
+
+        // Save entry values to settings
+        this.keys.forEach(key => {
+            const value = entryTexts[key];
+            this.settingsManager.setString(key, value);
+            this.settingsManager.savedSymbols[key] = value;
+        });
+
+        console.debug(`${LOG_TAG} Saving symbols to preset: ${JSON.stringify(this.settingsManager.savedSymbols)}`);
+        this.settingsManager.setSavedSymbols(this.settingsManager.savedSymbols);
+    }
+}
+
+// Built-in presets map a stable id to { label, values }, with the values in
+// keys order. User presets are stored under the name the user gave them.
+export class PresetManager {
+    constructor(settingsManager, keys, builtinPresets) {
+        this.settingsManager = settingsManager;
+        this.keys = keys;
+        this.builtinPresets = builtinPresets;
+    }
+
+    getUserPresets() {
+        return this.settingsManager.getValue('symbol-presets');
+    }
+
+    getNames() {
+        const userNames = Object.keys(this.getUserPresets())
+            .filter(name => !this.isBuiltin(name))
+            .sort((a, b) => a.localeCompare(b));
+        return [...this.builtinPresets.keys(), ...userNames];
+    }
+
+    isBuiltin(name) {
+        return this.builtinPresets.has(name);
+    }
+
+    // User presets must not take the id or the label of a built-in one
+    isReservedName(name) {
+        return this.isBuiltin(name) ||
+            [...this.builtinPresets.values()].some(({ label }) => label === name);
+    }
+
+    getLabel(name) {
+        return this.builtinPresets.get(name)?.label ?? name;
+    }
+
+    getValues(name) {
+        if (this.isBuiltin(name)) {
+            const { values } = this.builtinPresets.get(name);
+            return Object.fromEntries(this.keys.map((key, i) => [key, values[i]]));
+        }
+
+        const preset = this.getUserPresets()[name];
+        return preset ? Object.fromEntries(this.keys.map(key => [key, preset[key] ?? ''])) : null;
+    }
+
+    findMatching(values) {
+        return this.getNames().find(name =>
+            this.settingsManager.symbolsEqual(this.getValues(name), values)
+        ) ?? null;
+    }
+
+    savePreset(name, values) {
+        console.debug(`${LOG_TAG} Saving preset ${name}: ${JSON.stringify(values)}`);
+
+        const presets = this.getUserPresets();
+        presets[name] = { ...values };
+        this.settingsManager.setValue('symbol-presets', 'a{sa{ss}}', presets);
+    }
+
+    deletePreset(name) {
+        console.debug(`${LOG_TAG} Deleting preset ${name}`);
+
+        const presets = this.getUserPresets();
+        delete presets[name];
+        this.settingsManager.setValue('symbol-presets', 'a{sa{ss}}', presets);
+    }
+}
@@ -16,158 +16,162 @@ along with this program.  If not, see <http://www.gnu.org/licenses/>.
 */
 
 import Gtk from 'gi://Gtk';
+import Gdk from 'gi://Gdk';
 import Adw from 'gi://Adw';
 import GLib from 'gi://GLib';
-import { ExtensionPreferences, gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import Gio from 'gi://Gio';
+import { ExtensionPreferences, gettext as _, ngettext } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import { CONFIG_KEYS, SettingsManager, SimpleManager, PresetManager } from './lib/symbolSettings.js';
+import { MODIFIER_KEYS, MODIFIER_NAMES as MODIFIER_TITLES } from './lib/modifiers.js';
 
 const LOG_TAG = 'KBD-Informer-Prefs:';
 
-const CONFIG_KEYS = {
-    modifiers: [
-        'shift-symbol', 'caps-symbol', 'control-symbol', 'alt-symbol',
-        'num-symbol', 'scroll-symbol', 'super-symbol', 'altgr-symbol'
-    ]
-};
+const MODIFIER_NAMES = ['shift', 'caps', 'control', 'alt', 'num', 'scroll', 'super', 'altgr'];
 
 let SYMBOL_PRESETS = null;
-
-function getSymbolPresets(settingsManager = null) {
+let NOTIFY_POLICIES = null;
+let OSD_POSITIONS = null;
+let OSD_MONITORS = null;
+let OSD_LAYOUTS = null;
+let PANEL_ACTIONS = null;
+let PANEL_BOXES = null;
+let DISPLAY_MODES = null;
+let PANEL_SYMBOL_MODES = null;
+let LOCK_RULE_STATES = null;
+
+// Built-in presets keyed by an id that does not depend on the locale, values
+// in CONFIG_KEYS.modifiers order
+function getSymbolPresets(settingsManager) {
     if (!SYMBOL_PRESETS) {
         SYMBOL_PRESETS = {
             modifiers: new Map([
-                [_('Symbols'), ['shift', 'caps', 'ctrl', 'alt', 'num', 'scroll', 'super', 'altgr']],
+                ['default', { label: _('Default'), values: settingsManager.getSchemaDefaults(CONFIG_KEYS.modifiers) }],
+                ['macos', { label: _('macOS'), values: ['⇧', '⇪', '⌃', '⌥', '⇭', '⇳', '⌘', '⎇'] }],
+                ['windows', { label: _('Windows'), values: ['Shift', 'Caps', 'Ctrl', 'Alt', 'Num', 'Scroll', 'Win', 'AltGr'] }],
+                ['emacs', { label: _('Emacs'), values: ['S-', 'Caps', 'C-', 'M-', 'Num', 'Scroll', 's-', 'A-'] }],
+                ['plain-ascii', { label: _('Plain ASCII'), values: ['shift', 'caps', 'ctrl', 'alt', 'num', 'scroll', 'super', 'altgr'] }],
             ])
         };
     }
     return SYMBOL_PRESETS;
 }
 
-class SettingsManager {
-    constructor(extension) {
-        this._extension = extension;
-        this._settings = null;
-        this._schema = null;
-        this._signalIds = [];
-        this.currentSymbols = {};
-        this.savedSymbols = {};
-    }
-
-    initialize() {
-        this._settings = this._extension.getSettings();
-        this._schema = this._settings.settings_schema;
-        this._loadCurrentState();
-    }
-
-    _loadCurrentState() {
-        const allKeys = CONFIG_KEYS.modifiers;
-        this.currentSymbols = this._getSymbolsFromSettings(allKeys);
-        this.savedSymbols = this._settings.get_value('saved-symbols').deep_unpack();
-
-        console.debug(`${LOG_TAG} Current symbols: ${JSON.stringify(this.currentSymbols)}`);
-        console.debug(`${LOG_TAG} Saved symbols: ${JSON.stringify(this.savedSymbols)}`);
-    }
-
-    _getSymbolsFromSettings(keys) {
-        return Object.fromEntries(
-            keys.map(key => [key, this._settings.get_string(key)])
-        );
-    }
-
-    getSchemaDefaults(keys) {
-        return keys.map(key => this._settings.get_default_value(key).deep_unpack());
-    }
-
-    getSchemaKey(key) {
-        return this._schema.get_key(key);
-    }
-
-    setString(key, value) {
-        this._settings.set_string(key, value);
-        this.currentSymbols[key] = value;
-    }
-
-    connect(signal, callback) {
-        const signalId = this._settings.connect(signal, callback);
-        this._signalIds.push(signalId);
-        return signalId;
-    }
-
-    setSavedSymbols(symbols) {
-        this.savedSymbols = { ...symbols };
-        this._settings.set_value('saved-symbols', new GLib.Variant('a{ss}', this.savedSymbols));
+function getNotifyPolicies() {
+    if (!NOTIFY_POLICIES) {
+        NOTIFY_POLICIES = [
+            ['never', _('Never')],
+            ['enable', _('When turned on')],
+            ['disable', _('When turned off')],
+            ['both', _('Always')],
+        ];
     }
+    return NOTIFY_POLICIES;
+}
 
-    symbolsEqual(obj1, obj2) {
-        const keys1 = Object.keys(obj1);
-        const keys2 = Object.keys(obj2);
-
-        if (keys1.length !== keys2.length) return false;
-
-        return keys1.every(key => (obj1[key] ?? '') === (obj2[key] ?? ''));
+function getOsdPositions() {
+    if (!OSD_POSITIONS) {
+        OSD_POSITIONS = [
+            ['top-left', _('Top left')],
+            ['top-center', _('Top center')],
+            ['top-right', _('Top right')],
+            ['center-left', _('Center left')],
+            ['center', _('Center')],
+            ['center-right', _('Center right')],
+            ['bottom-left', _('Bottom left')],
+            ['bottom-center', _('Bottom center')],
+            ['bottom-right', _('Bottom right')],
+        ];
     }
+    return OSD_POSITIONS;
+}
 
-    currentDiffersFromSaved(keys) {
-        return keys.some(key =>
-            this.currentSymbols[key] !== (this.savedSymbols[key] ?? '')
-        );
+function getOsdMonitors() {
+    if (!OSD_MONITORS) {
+        OSD_MONITORS = [
+            ['all', _('All monitors')],
+            ['primary', _('Primary monitor')],
+            ['focused', _('Monitor with the focused window')],
+            ['pointer', _('Monitor under the pointer')],
+        ];
     }
+    return OSD_MONITORS;
+}
 
-    destroy() {
-        if (this._settings) {
-            this._signalIds.forEach(signalId => this._settings.disconnect(signalId));
-        }
-
-        this._signalIds = [];
-        this._settings = null;
-        this._schema = null;
-        this.currentSymbols = {};
-        this.savedSymbols = {};
+function getOsdLayouts() {
+    if (!OSD_LAYOUTS) {
+        OSD_LAYOUTS = [
+            ['classic', _('Classic')],
+            ['leds', _('Lock LED bar')],
+        ];
     }
+    return OSD_LAYOUTS;
 }
 
-class SimpleManager {
-    constructor(settingsManager, keys, defaultValues) {
-        this.settingsManager = settingsManager;
-        this.keys = keys;
-        this.defaultValues = defaultValues;
+function getPanelActions() {
+    if (!PANEL_ACTIONS) {
+        PANEL_ACTIONS = {
+            click: [
+                ['none', _('Nothing')],
+                ['menu', _('Open menu')],
+                ['toggle-caps', _('Toggle Caps Lock')],
+                ['toggle-num', _('Toggle Num Lock')],
+                ['toggle-scroll', _('Toggle Scroll Lock')],
+                ['preferences', _('Open preferences')],
+            ],
+            scroll: [
+                ['none', _('Nothing')],
+                ['switch-layout', _('Switch keyboard layout')],
+                ['toggle-caps', _('Caps Lock on and off')],
+                ['toggle-num', _('Num Lock on and off')],
+                ['toggle-scroll', _('Scroll Lock on and off')],
+            ],
+        };
     }
+    return PANEL_ACTIONS;
+}
 
-    isCurrentEqualToDefault(entryManager) {
-        return this.keys.every((key, i) =>
-            entryManager.getEntryText(key) === this.defaultValues[i]
-        );
+function getPanelBoxes() {
+    if (!PANEL_BOXES) {
+        PANEL_BOXES = [
+            ['left', _('Left')],
+            ['center', _('Center')],
+            ['right', _('Right')],
+        ];
     }
+    return PANEL_BOXES;
+}
 
-    isCurrentEqualToSaved(entryManager) {
-        return this.keys.every(key =>
-            entryManager.getEntryText(key) === this.settingsManager.currentSymbols[key]
-        );
+function getDisplayModes() {
+    if (!DISPLAY_MODES) {
+        DISPLAY_MODES = [
+            ['text', _('Text symbols')],
+            ['icon', _('Icons')],
+        ];
     }
+    return DISPLAY_MODES;
+}
 
-    applyDefaults(entryManager) {
-        console.debug(`${LOG_TAG} Applying defaults: ${this.defaultValues}`);
-
-        this.keys.forEach((key, i) => {
-            const value = this.defaultValues[i];
-            entryManager.updateEntry(key, value);
-        });
+function getPanelSymbolModes() {
+    if (!PANEL_SYMBOL_MODES) {
+        PANEL_SYMBOL_MODES = [
+            ['active', _('Active only')],
+            ['all', _('All, inactive dimmed')],
+            ['locks', _('Locks only')],
+        ];
     }
+    return PANEL_SYMBOL_MODES;
+}
 
-    saveCurrentAsPreset(entryManager) {
-        const entryTexts = entryManager.getAllEntryTexts(this.keys);
-
-        console.debug(`${LOG_TAG} Saving entries to settings: ${JSON.stringify(entryTexts)}`);
-
-        // Save entry values to settings
-        this.keys.forEach(key => {
-            const value = entryTexts[key];
-            this.settingsManager.setString(key, value);
-            this.settingsManager.savedSymbols[key] = value;
-        });
-
-        console.debug(`${LOG_TAG} Saving symbols to preset: ${JSON.stringify(this.settingsManager.savedSymbols)}`);
-        this.settingsManager.setSavedSymbols(this.settingsManager.savedSymbols);
+function getLockRuleStates() {
+    if (!LOCK_RULE_STATES) {
+        LOCK_RULE_STATES = [
+            ['keep', _('Keep')],
+            ['on', _('On')],
+            ['off', _('Off')],
+        ];
     }
+    return LOCK_RULE_STATES;
 }
 
 class EntryManager {
@@ -222,7 +226,9 @@ class EntryManager {
 }
 
 class DialogManager {
-    static showSwitchConfirmation(window, title, keys, settingsManager, onConfirm, onCancel) {
+    // comparison: { current, compareTo, compareTitle } overrides the values shown
+    // in the grid, which by default compares the settings with the saved symbols
+    static showSwitchConfirmation(window, title, keys, settingsManager, onConfirm, onCancel, comparison = {}) {
         console.debug(`${LOG_TAG} Showing switch confirmation dialog`);
 
         const dialog = new Adw.MessageDialog({
@@ -233,7 +239,7 @@ class DialogManager {
         });
 
         // Create comparison table if there are differences
-        const grid = DialogManager._createComparisonGrid(title, keys, settingsManager);
+        const grid = DialogManager._createComparisonGrid(title, keys, settingsManager, comparison);
         if (grid) {
             dialog.set_extra_child(grid);
         }
@@ -268,10 +274,76 @@ class DialogManager {
         dialog.show();
     }
 
-    static _createComparisonGrid(title, keys, settingsManager) {
+    static showPresetNameDialog(window, presetManager, onSave, onCancel) {
+        console.debug(`${LOG_TAG} Showing preset name dialog`);
+
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading: _('Save preset'),
+            body: _('Enter a name for the new preset. Saving under an existing name replaces that preset.'),
+        });
+
+        const entry = new Gtk.Entry({
+            placeholder_text: _('Preset name'),
+            activates_default: true,
+        });
+        dialog.set_extra_child(entry);
+
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('save', _('Save'));
+        dialog.set_response_appearance('save', Adw.ResponseAppearance.SUGGESTED);
+        dialog.set_default_response('save');
+        dialog.set_close_response('cancel');
+
+        // Built-in presets cannot be overwritten or imitated
+        const updateSaveEnabled = () => {
+            const name = entry.text.trim();
+            dialog.set_response_enabled('save', name !== '' && !presetManager.isReservedName(name));
+        };
+        entry.connect('changed', updateSaveEnabled);
+        updateSaveEnabled();
+
+        dialog.connect('response', (_dialog, response) => {
+            console.debug(`${LOG_TAG} Preset name dialog response: ${response}`);
+
+            if (response === 'save') {
+                onSave(entry.text.trim());
+            } else {
+                onCancel();
+            }
+
+            dialog.destroy();
+        });
+
+        dialog.show();
+    }
+
+    static _createComparisonGrid(title, keys, settingsManager, comparison = {}) {
         const schema = settingsManager._schema;
-        let hasChanges = false;
+        const {
+            current: currentValues = settingsManager.currentSymbols,
+            compareTo = settingsManager.savedSymbols,
+            compareTitle = _('Saved'),
+        } = comparison;
+
+        const rows = [];
+        keys.forEach(key => {
+            const current = currentValues[key] ?? '';
+            const saved = compareTo[key] ?? '';
+
+            if (current !== saved) {
+                const schemaKey = schema.get_key(key);
+                rows.push([_(schemaKey.get_summary()), current, saved]);
+            }
+        });
 
+        return rows.length > 0
+            ? DialogManager._createGrid([title, _('Custom'), compareTitle], rows)
+            : null;
+    }
+
+    static _createGrid(headers, rows) {
         const grid = new Gtk.Grid({
             column_spacing: 12,
             row_spacing: 12,
@@ -283,7 +355,6 @@ class DialogManager {
             margin_end: 12,
         });
 
-        const headers = [title, _('Custom'), _('Saved')];
         headers.forEach((header, col) => {
             const label = new Gtk.Label({
                 label: header,
@@ -295,45 +366,119 @@ class DialogManager {
             grid.attach(label, col, 0, 1, 1);
         });
 
-        let row = 1;
-        keys.forEach(key => {
-            const current = settingsManager.currentSymbols[key] ?? '';
-            const saved = settingsManager.savedSymbols[key] ?? '';
+        rows.forEach((cells, i) => {
+            cells.forEach((value, col) => {
+                const label = new Gtk.Label({
+                    label: value,
+                    halign: Gtk.Align.CENTER,
+                    hexpand: true,
+                    wrap: true,
+                    max_width_chars: 30,
+                });
 
-            if (current !== saved) {
-                hasChanges = true;
-                const schemaKey = schema.get_key(key);
-                const cells = [_(schemaKey.get_summary()), current, saved];
+                if (col === 0) {
+                    label.add_css_class('heading');
+                }
+
+                grid.attach(label, col, i + 1, 1, 1);
+            });
+        });
 
-                cells.forEach((value, col) => {
-                    const label = new Gtk.Label({
-                        label: value,
-                        halign: Gtk.Align.CENTER,
-                        hexpand: true,
-                    });
+        return grid;
+    }
 
-                    if (col === 0) {
-                        label.add_css_class('heading');
-                    }
+    static showImportConfirmation(window, changes, onConfirm) {
+        console.debug(`${LOG_TAG} Showing import confirmation dialog`);
 
-                    grid.attach(label, col, row, 1, 1);
-                });
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading: _('Import configuration'),
+            body: changes.length > 0
+                ? _('The following settings will be changed.')
+                : _('The imported configuration matches the current settings.'),
+        });
+
+        if (changes.length > 0) {
+            const rows = changes.map(({ title, current, imported }) => [title, current, imported]);
+            const scrolled = new Gtk.ScrolledWindow({
+                child: DialogManager._createGrid([_('Setting'), _('Current'), _('Imported')], rows),
+                hscrollbar_policy: Gtk.PolicyType.NEVER,
+                propagate_natural_height: true,
+                max_content_height: 400,
+            });
+            dialog.set_extra_child(scrolled);
+        }
+
+        dialog.add_response('cancel', _('Cancel'));
+        if (changes.length > 0) {
+            dialog.add_response('apply', _('Apply'));
+            dialog.set_response_appearance('apply', Adw.ResponseAppearance.SUGGESTED);
+        }
+        dialog.set_default_response('cancel');
+        dialog.set_close_response('cancel');
+
+        dialog.connect('response', (_dialog, response) => {
+            console.debug(`${LOG_TAG} Import dialog response: ${response}`);
+
+            if (response === 'apply') {
+                onConfirm();
+            }
+
+            dialog.destroy();
+        });
+
+        dialog.show();
+    }
+
+    static showResetStatisticsConfirmation(window, onConfirm) {
+        console.debug(`${LOG_TAG} Showing statistics reset dialog`);
+
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading: _('Reset statistics?'),
+            body: _('All recorded counts will be cleared. This cannot be undone.'),
+        });
+
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('reset', _('Reset'));
+        dialog.set_response_appearance('reset', Adw.ResponseAppearance.DESTRUCTIVE);
+        dialog.set_default_response('cancel');
+        dialog.set_close_response('cancel');
 
-                row++;
+        dialog.connect('response', (_dialog, response) => {
+            if (response === 'reset') {
+                onConfirm();
             }
+
+            dialog.destroy();
         });
 
-        return hasChanges ? grid : null;
+        dialog.show();
+    }
+
+    static showError(window, heading, body) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading,
+            body,
+        });
+        dialog.add_response('close', _('Close'));
+        dialog.connect('response', () => dialog.destroy());
+        dialog.show();
     }
 }
 
 class GroupBuilder {
-    constructor(settingsManager, page) {
+    constructor(settingsManager, page, window) {
         this.settingsManager = settingsManager;
         this.page = page;
+        this.window = window;
     }
 
-    createGroup(title, description, keys, defaultValues) {
+    createGroup(title, description, keys, defaultValues, presetManager = null) {
         console.debug(`${LOG_TAG} Creating group: ${title}`);
 
         const group = new Adw.PreferencesGroup({ title, description });
@@ -343,16 +488,119 @@ class GroupBuilder {
         const { resetButton, saveButton, headerBox } = this._createControlButtons();
         group.set_header_suffix(headerBox);
 
+        let refreshPresets = () => {};
+        if (presetManager) {
+            refreshPresets = this._createPresetRow(group, title, keys, entryManager, simpleManager, presetManager, () => {
+                this._updateButtonStates(resetButton, saveButton, entryManager, simpleManager);
+            });
+        }
+
         this._setupButtonLogic(resetButton, saveButton, entryManager, simpleManager);
 
         this._createEntryRows(group, keys, entryManager, () => {
             this._updateButtonStates(resetButton, saveButton, entryManager, simpleManager);
+            refreshPresets();
         });
+        refreshPresets();
 
         this.page.add(group);
         console.debug(`${LOG_TAG} Group created: ${title}`);
     }
 
+    // Returns a function that resyncs the preset dropdown with the entries
+    _createPresetRow(group, title, keys, entryManager, simpleManager, presetManager, onApplied) {
+        const row = new Adw.ComboRow({
+            title: _('Preset'),
+            subtitle: _('Unsaved custom symbols are offered to be saved before switching.'),
+        });
+
+        const saveAsButton = new Gtk.Button({
+            icon_name: 'document-save-as-symbolic',
+            tooltip_text: _('Save as preset'),
+            valign: Gtk.Align.CENTER,
+        });
+        saveAsButton.add_css_class('flat');
+
+        const deleteButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Delete preset'),
+            valign: Gtk.Align.CENTER,
+        });
+        deleteButton.add_css_class('flat');
+
+        row.add_suffix(saveAsButton);
+        row.add_suffix(deleteButton);
+        group.add(row);
+
+        let names = [];
+        let syncing = false;
+
+        // The last item stands for symbols that match no preset
+        const refresh = () => {
+            names = presetManager.getNames();
+            const active = presetManager.findMatching(entryManager.getAllEntryTexts(keys));
+
+            syncing = true;
+            row.model = Gtk.StringList.new([...names.map(name => presetManager.getLabel(name)), _('Custom')]);
+            row.selected = active ? names.indexOf(active) : names.length;
+            syncing = false;
+
+            deleteButton.sensitive = !!active && !presetManager.isBuiltin(active);
+            saveAsButton.sensitive = !active;
+        };
+
+        const applyPreset = name => {
+            simpleManager.applyValues(entryManager, presetManager.getValues(name));
+            refresh();
+            onApplied();
+        };
+
+        row.connect('notify::selected', () => {
+            if (syncing) return;
+
+            const name = names[row.selected];
+            if (!name) {
+                refresh();
+                return;
+            }
+
+            const current = entryManager.getAllEntryTexts(keys);
+            if (presetManager.findMatching(current)) {
+                applyPreset(name);
+                return;
+            }
+
+            DialogManager.showSwitchConfirmation(this.window, title, keys, this.settingsManager, save => {
+                if (!save) {
+                    applyPreset(name);
+                    return;
+                }
+
+                DialogManager.showPresetNameDialog(this.window, presetManager, presetName => {
+                    presetManager.savePreset(presetName, current);
+                    applyPreset(name);
+                }, refresh);
+            }, refresh, { current, compareTo: presetManager.getValues(name), compareTitle: presetManager.getLabel(name) });
+        });
+
+        saveAsButton.connect('clicked', () => {
+            DialogManager.showPresetNameDialog(this.window, presetManager, presetName => {
+                presetManager.savePreset(presetName, entryManager.getAllEntryTexts(keys));
+            }, refresh);
+        });
+
+        deleteButton.connect('clicked', () => {
+            const name = names[row.selected];
+            if (name && !presetManager.isBuiltin(name)) {
+                presetManager.deletePreset(name);
+            }
+        });
+
+        this.settingsManager.connect('changed::symbol-presets', refresh);
+
+        return refresh;
+    }
+
     _createControlButtons() {
         const headerBox = new Gtk.Box({ spacing: 6 });
 
@@ -452,22 +700,1229 @@ class GroupBuilder {
     }
 }
 
-// Main Preferences Class
-export default class KeyboardInformerPreferences extends ExtensionPreferences {
-    fillPreferencesWindow(window) {
-        console.debug(`${LOG_TAG} Initializing preferences window`);
+const CONFIG_FORMAT = 'kbd-informer-config';
+const CONFIG_VERSION = 1;
 
-        const settingsManager = new SettingsManager(this);
-        settingsManager.initialize();
+// Triggers and runtime state rather than configuration: importing the reset
+// time from another machine would wipe the local statistics
+const CONFIG_EXCLUDED_KEYS = ['statistics-reset', 'screencast-enabled'];
+
+const INTEGER_RANGES = {
+    i: [-(2 ** 31), 2 ** 31 - 1],
+    u: [0, 2 ** 32 - 1],
+    x: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+};
+
+// Checks a JSON value against a GVariant type string before it is packed, as
+// GLib.Variant would otherwise coerce it (e.g. the string 'false' for a b).
+// Covers the types of the schema; dictionaries are keyed by strings.
+function valueMatchesType(type, value) {
+    if (type.startsWith('a{s') && type.endsWith('}')) {
+        const valueType = type.slice(3, -1);
+        return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+            Object.values(value).every(item => valueMatchesType(valueType, item));
+    }
+    if (type.startsWith('a')) {
+        return Array.isArray(value) && value.every(item => valueMatchesType(type.slice(1), item));
+    }
+
+    switch (type) {
+        case 'b':
+            return typeof value === 'boolean';
+        case 's':
+            return typeof value === 'string';
+        case 'd':
+            return Number.isFinite(value);
+        case 'i':
+        case 'u':
+        case 'x': {
+            const [min, max] = INTEGER_RANGES[type];
+            return Number.isInteger(value) && value >= min && value <= max;
+        }
+        default:
+            return false;
+    }
+}
+
+class ConfigTransfer {
+    constructor(settingsManager) {
+        this.settingsManager = settingsManager;
+    }
+
+    _listKeys() {
+        return this.settingsManager.listKeys().filter(key => !CONFIG_EXCLUDED_KEYS.includes(key));
+    }
+
+    serialize() {
+        const settings = Object.fromEntries(this._listKeys().map(key =>
+            [key, this.settingsManager.getVariant(key).deep_unpack()]
+        ));
+
+        return JSON.stringify({ format: CONFIG_FORMAT, version: CONFIG_VERSION, settings }, null, 2);
+    }
+
+    // Returns { variants, errors }; variants holds every valid key of the file
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { variants: {}, errors: [_('The file is not valid JSON.')] };
+        }
+
+        if (data?.format !== CONFIG_FORMAT || typeof data.settings !== 'object' || data.settings === null) {
+            return { variants: {}, errors: [_('The file is not a Keyboard Informer configuration.')] };
+        }
+        if (!Number.isInteger(data.version) || data.version > CONFIG_VERSION) {
+            return { variants: {}, errors: [_('The configuration was written by a newer version of the extension.')] };
+        }
+
+        const knownKeys = this._listKeys();
+        const variants = {};
+        const errors = [];
+
+        Object.entries(data.settings).forEach(([key, value]) => {
+            // Files exported before the exclusion still carry these keys
+            if (CONFIG_EXCLUDED_KEYS.includes(key)) {
+                return;
+            }
+            if (!knownKeys.includes(key)) {
+                errors.push(`${_('Unknown setting')}: ${key}`);
+                return;
+            }
+
+            const variant = this._toVariant(key, value);
+            if (variant) {
+                variants[key] = variant;
+            } else {
+                errors.push(`${_('Invalid value')}: ${key}`);
+            }
+        });
+
+        return { variants, errors };
+    }
+
+    _toVariant(key, value) {
+        const schemaKey = this.settingsManager.getSchemaKey(key);
+        const type = schemaKey.get_value_type().dup_string();
+        if (!valueMatchesType(type, value)) {
+            return null;
+        }
+
+        try {
+            const variant = new GLib.Variant(type, value);
+            return schemaKey.range_check(variant) ? variant : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    diff(variants) {
+        return Object.entries(variants)
+            .filter(([key, variant]) => !variant.equal(this.settingsManager.getVariant(key)))
+            .map(([key, variant]) => ({
+                key,
+                title: _(this.settingsManager.getSchemaKey(key).get_summary()),
+                current: this.settingsManager.getVariant(key).print(false),
+                imported: variant.print(false),
+            }));
+    }
+
+    apply(variants) {
+        const changed = Object.fromEntries(
+            this.diff(variants).map(({ key }) => [key, variants[key]])
+        );
+        this.settingsManager.setVariants(changed);
+    }
+}
+
+class TransferGroupBuilder {
+    constructor(settingsManager, page, window) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+        this.window = window;
+        this.transfer = new ConfigTransfer(settingsManager);
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating import and export group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Import and export'),
+            description: _('Saves all settings, including symbol presets, to a JSON file or loads them from one.'),
+        });
+
+        group.add(this._createButtonRow(_('Export configuration'), _('Export…'), () => this._export()));
+        group.add(this._createButtonRow(_('Import configuration'), _('Import…'), () => this._import()));
+
+        this.page.add(group);
+    }
+
+    _createButtonRow(title, label, onClicked) {
+        const row = new Adw.ActionRow({ title });
+        const button = new Gtk.Button({ label, valign: Gtk.Align.CENTER });
+        button.connect('clicked', onClicked);
+        row.add_suffix(button);
+        row.activatable_widget = button;
+        return row;
+    }
+
+    _createFileDialog(title) {
+        const filter = new Gtk.FileFilter({ name: _('JSON files') });
+        filter.add_pattern('*.json');
+
+        const filters = new Gio.ListStore({ item_type: Gtk.FileFilter });
+        filters.append(filter);
+
+        return new Gtk.FileDialog({
+            title,
+            modal: true,
+            filters,
+            initial_name: 'kbd-informer.json',
+        });
+    }
+
+    _export() {
+        const dialog = this._createFileDialog(_('Export configuration'));
+
+        dialog.save(this.window, null, (_dialog, result) => {
+            let file;
+            try {
+                file = dialog.save_finish(result);
+            } catch (e) {
+                return; // Dismissed
+            }
 
-        const page = new Adw.PreferencesPage();
-        const groupBuilder = new GroupBuilder(settingsManager, page);
+            try {
+                const bytes = new TextEncoder().encode(this.transfer.serialize());
+                file.replace_contents(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+                console.debug(`${LOG_TAG} Configuration exported to ${file.get_path()}`);
+            } catch (e) {
+                console.error(`${LOG_TAG} Error exporting configuration: ${e}`);
+                DialogManager.showError(this.window, _('Export failed'), e.message);
+            }
+        });
+    }
+
+    _import() {
+        const dialog = this._createFileDialog(_('Import configuration'));
+
+        dialog.open(this.window, null, (_dialog, result) => {
+            let file;
+            try {
+                file = dialog.open_finish(result);
+            } catch (e) {
+                return; // Dismissed
+            }
+
+            let text;
+            try {
+                const [, contents] = file.load_contents(null);
+                text = new TextDecoder().decode(contents);
+            } catch (e) {
+                console.error(`${LOG_TAG} Error reading configuration: ${e}`);
+                DialogManager.showError(this.window, _('Import failed'), e.message);
+                return;
+            }
+
+            const { variants, errors } = this.transfer.parse(text);
+            if (errors.length > 0) {
+                DialogManager.showError(this.window, _('Import failed'), errors.join('\n'));
+                return;
+            }
+
+            DialogManager.showImportConfirmation(this.window, this.transfer.diff(variants), () => {
+                this.transfer.apply(variants);
+            });
+        });
+    }
+}
+
+class RowBuilder {
+    constructor(settingsManager) {
+        this.settingsManager = settingsManager;
+    }
+
+    _getTitle(key) {
+        return _(this.settingsManager.getSchemaKey(key).get_summary());
+    }
+
+    createSwitchRow(key) {
+        const row = new Adw.SwitchRow({ title: this._getTitle(key) });
+        this.settingsManager.bind(key, row, 'active');
+        return row;
+    }
+
+    createSpinRow(key, lower, upper, step, digits = 0) {
+        const row = new Adw.SpinRow({
+            title: this._getTitle(key),
+            digits,
+            adjustment: new Gtk.Adjustment({ lower, upper, step_increment: step, page_increment: step * 10 }),
+        });
+        this.settingsManager.bind(key, row, 'value');
+        return row;
+    }
+
+    createEntryRow(key) {
+        const row = new Adw.EntryRow({ title: this._getTitle(key) });
+        this.settingsManager.bind(key, row, 'text');
+        return row;
+    }
+
+    // choices: [[value, label], ...] for a string key with <choices>
+    createComboRow(key, choices, title = this._getTitle(key)) {
+        const row = new Adw.ComboRow({
+            title,
+            model: Gtk.StringList.new(choices.map(([, label]) => label)),
+        });
+
+        const syncSelected = () => {
+            const index = choices.findIndex(([value]) => value === this.settingsManager.getString(key));
+            row.selected = Math.max(index, 0);
+        };
+        syncSelected();
+
+        row.connect('notify::selected', () => {
+            const [value] = choices[row.selected];
+            if (this.settingsManager.getString(key) !== value) {
+                this.settingsManager.setValue(key, 's', value);
+            }
+        });
+        this.settingsManager.connect(`changed::${key}`, syncSelected);
+
+        return row;
+    }
+}
+
+class LayoutGroupBuilder {
+    constructor(settingsManager, page) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating keyboard layout group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Keyboard layout'),
+            description: _('Shows the active input source in the panel and when it changes.'),
+        });
+
+        const rowBuilder = new RowBuilder(this.settingsManager);
+        group.add(rowBuilder.createSwitchRow('show-layout'));
+        group.add(rowBuilder.createSwitchRow('show-layout-osd'));
+
+        const shortNamesRow = new Adw.ExpanderRow({
+            title: _(this.settingsManager.getSchemaKey('layout-short-names').get_summary()),
+            subtitle: _('Leave empty to use the name provided by the input source.'),
+        });
+        this._getInputSources().forEach(([type, id]) => {
+            shortNamesRow.add_row(this._createShortNameRow(type, id));
+        });
+        group.add(shortNamesRow);
+
+        this.page.add(group);
+    }
+
+    _getInputSources() {
+        const inputSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.input-sources' });
+        return inputSettings.get_value('sources').deep_unpack();
+    }
+
+    _createShortNameRow(type, id) {
+        const shortNames = this.settingsManager.getValue('layout-short-names');
+
+        const row = new Adw.EntryRow({
+            title: `${id} (${type})`,
+            text: shortNames[id] ?? '',
+        });
+
+        row.connect('changed', () => {
+            const names = this.settingsManager.getValue('layout-short-names');
+            const text = row.text.trim();
+
+            if (text) {
+                names[id] = text;
+            } else {
+                delete names[id];
+            }
+
+            this.settingsManager.setValue('layout-short-names', 'a{ss}', names);
+        });
+
+        return row;
+    }
+}
+
+class IconGroupBuilder {
+    constructor(settingsManager, page, extensionPath) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+        this.extensionPath = extensionPath;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating icon group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Icons for modifier keys'),
+            description: _('Sets the icons displayed in the panel and the OSD when the display mode is icons.'),
+        });
+        const rowBuilder = new RowBuilder(this.settingsManager);
+
+        group.add(rowBuilder.createComboRow('display-mode', getDisplayModes()));
+        MODIFIER_NAMES.forEach(name => {
+            group.add(this._createIconRow(name));
+        });
+
+        this.page.add(group);
+    }
+
+    // Bundled icons take precedence over icon theme names, as in the shell
+    _getIcon(iconName) {
+        const path = GLib.build_filenamev([this.extensionPath, 'icons', `${iconName}.svg`]);
+        if (GLib.file_test(path, GLib.FileTest.EXISTS)) {
+            return new Gio.FileIcon({ file: Gio.File.new_for_path(path) });
+        }
+        return new Gio.ThemedIcon({ name: iconName });
+    }
+
+    _createIconRow(name) {
+        const key = `${name}-icon`;
+
+        const row = new Adw.ActionRow({
+            title: _(this.settingsManager.getSchemaKey(key).get_summary()),
+        });
+
+        const preview = new Gtk.Image({ pixel_size: 16 });
+        row.add_prefix(preview);
+
+        const chooserButton = new Gtk.MenuButton({
+            icon_name: 'document-edit-symbolic',
+            tooltip_text: _('Choose icon'),
+            valign: Gtk.Align.CENTER,
+            popover: this._createChooserPopover(key),
+        });
+        chooserButton.add_css_class('flat');
+        row.add_suffix(chooserButton);
+
+        const syncPreview = () => {
+            const iconName = this.settingsManager.getString(key);
+            preview.gicon = this._getIcon(iconName);
+            row.subtitle = iconName;
+        };
+        syncPreview();
+        this.settingsManager.connect(`changed::${key}`, syncPreview);
+
+        return row;
+    }
+
+    _createChooserPopover(key) {
+        const popover = new Gtk.Popover();
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_top: 6,
+            margin_bottom: 6,
+            margin_start: 6,
+            margin_end: 6,
+        });
+
+        const flowBox = new Gtk.FlowBox({
+            max_children_per_line: 4,
+            selection_mode: Gtk.SelectionMode.NONE,
+        });
+
+        MODIFIER_NAMES.forEach(name => {
+            const iconName = `kbd-${name}-symbolic`;
+            const button = new Gtk.Button({
+                child: new Gtk.Image({ gicon: this._getIcon(iconName), pixel_size: 24 }),
+                tooltip_text: iconName,
+            });
+            button.add_css_class('flat');
+            button.connect('clicked', () => {
+                this.settingsManager.setValue(key, 's', iconName);
+                popover.popdown();
+            });
+            flowBox.append(button);
+        });
+        box.append(flowBox);
+
+        const entry = new Gtk.Entry({
+            placeholder_text: _('Icon name from the icon theme'),
+        });
+        entry.connect('activate', () => {
+            const iconName = entry.text.trim();
+            if (iconName) {
+                this.settingsManager.setValue(key, 's', iconName);
+                popover.popdown();
+            }
+        });
+        box.append(entry);
+
+        popover.child = box;
+        return popover;
+    }
+}
+
+class ColorGroupBuilder {
+    constructor(settingsManager, page) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating color group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Colors for modifier keys'),
+            description: _('Sets the text and background color of each modifier in the panel and the OSD.'),
+        });
+
+        MODIFIER_NAMES.forEach(name => {
+            group.add(this._createColorRow(name));
+        });
+
+        this.page.add(group);
+    }
+
+    _createColorRow(name) {
+        const keys = [`${name}-color`, `${name}-background`];
+
+        const row = new Adw.ActionRow({
+            title: _(this.settingsManager.getSchemaKey(keys[0]).get_summary()),
+        });
+
+        const buttons = keys.map((key, i) => {
+            const button = this._createColorButton(key);
+            button.tooltip_text = i === 0 ? _('Text color') : _('Background color');
+            row.add_suffix(button);
+            return button;
+        });
+
+        const resetButton = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: _('Use theme colors'),
+            valign: Gtk.Align.CENTER,
+        });
+        resetButton.add_css_class('flat');
+        resetButton.connect('clicked', () => {
+            keys.forEach(key => this.settingsManager.setValue(key, 's', ''));
+        });
+        row.add_suffix(resetButton);
+
+        const updateReset = () => {
+            resetButton.sensitive = keys.some(key => this.settingsManager.getString(key) !== '');
+        };
+        keys.forEach(key => this.settingsManager.connect(`changed::${key}`, updateReset));
+        updateReset();
+
+        row.activatable_widget = buttons[0];
+        return row;
+    }
+
+    // An empty setting is shown as a fully transparent color
+    _createColorButton(key) {
+        const button = new Gtk.ColorDialogButton({
+            dialog: new Gtk.ColorDialog({ with_alpha: true }),
+            valign: Gtk.Align.CENTER,
+        });
+
+        let syncing = false;
+        const syncButton = () => {
+            const rgba = new Gdk.RGBA();
+            if (!rgba.parse(this.settingsManager.getString(key))) {
+                rgba.parse('transparent');
+            }
+
+            syncing = true;
+            button.rgba = rgba;
+            syncing = false;
+        };
+        syncButton();
+
+        button.connect('notify::rgba', () => {
+            if (!syncing) {
+                this.settingsManager.setValue(key, 's', button.rgba.to_string());
+            }
+        });
+        this.settingsManager.connect(`changed::${key}`, syncButton);
+
+        return button;
+    }
+}
+
+class PanelGroupBuilder {
+    constructor(settingsManager, page) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating panel button group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Panel button'),
+            description: _('Placement of the panel indicator and its actions. A right click always opens its menu.'),
+        });
+        const rowBuilder = new RowBuilder(this.settingsManager);
+        const actions = getPanelActions();
+
+        group.add(rowBuilder.createComboRow('panel-box', getPanelBoxes()));
+        group.add(rowBuilder.createSpinRow('panel-position', 0, 50, 1));
+        group.add(rowBuilder.createComboRow('left-click-action', actions.click));
+        group.add(rowBuilder.createComboRow('middle-click-action', actions.click));
+        group.add(rowBuilder.createComboRow('scroll-action', actions.scroll));
+
+        this.page.add(group);
+    }
+}
+
+class PanelSymbolsGroupBuilder {
+    constructor(settingsManager, page) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating panel symbols group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Modifiers in the panel'),
+            description: _('Showing all modifiers or the lock keys keeps the indicator at a fixed width.'),
+        });
+        const rowBuilder = new RowBuilder(this.settingsManager);
+
+        group.add(rowBuilder.createComboRow('panel-symbols', getPanelSymbolModes()));
+
+        const expander = new Adw.ExpanderRow({ title: _('Modifiers that can be shown') });
+        MODIFIER_NAMES.forEach(name => {
+            expander.add_row(rowBuilder.createSwitchRow(`${name}-panel-visible`));
+        });
+        group.add(expander);
+
+        this.page.add(group);
+    }
+}
+
+class NotificationGroupBuilder {
+    constructor(settingsManager, page) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating notification group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('OSD notifications'),
+            description: _('Chooses when an OSD notification is shown for each modifier and what it says.'),
+        });
+
+        MODIFIER_NAMES.forEach(name => {
+            group.add(this._createModifierRow(name));
+        });
+
+        this.page.add(group);
+    }
+
+    _createModifierRow(name) {
+        const notifyKey = `${name}-notify`;
+        const titleKey = `${name}-osd-title`;
+        const policies = getNotifyPolicies();
+
+        const expander = new Adw.ExpanderRow({
+            title: _(this.settingsManager.getSchemaKey(notifyKey).get_summary()),
+        });
+
+        const rowBuilder = new RowBuilder(this.settingsManager);
+        const policyRow = rowBuilder.createComboRow(notifyKey, policies, _('Notify'));
+        const titleRow = rowBuilder.createEntryRow(titleKey);
+
+        const updateSubtitle = () => {
+            expander.subtitle = policies[policyRow.selected][1];
+        };
+        policyRow.connect('notify::selected', updateSubtitle);
+        updateSubtitle();
+
+        expander.add_row(policyRow);
+        expander.add_row(titleRow);
+        return expander;
+    }
+}
+
+class CapsReleaseGroupBuilder {
+    constructor(settingsManager, page) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating Caps Lock release group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Automatic Caps Lock release'),
+            description: _('Turns Caps Lock off on its own. The OSD tells why it was turned off.'),
+        });
+
+        const rowBuilder = new RowBuilder(this.settingsManager);
+        const timeoutRow = rowBuilder.createSpinRow('caps-release-timeout', 0, 3600, 5);
+        timeoutRow.subtitle = _('Seconds without keyboard or pointer input, 0 turns it off');
+        group.add(timeoutRow);
+        group.add(rowBuilder.createSwitchRow('caps-release-on-focus-change'));
+        group.add(rowBuilder.createSwitchRow('caps-release-on-lock'));
+
+        this.page.add(group);
+    }
+}
+
+class CapsTypingGroupBuilder {
+    constructor(settingsManager, page) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating Caps Lock typing group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Typing with Caps Lock on'),
+            description: _('Warns when the typed keys suggest that Caps Lock is on by mistake. The keys are only counted, never stored.'),
+        });
+
+        const rowBuilder = new RowBuilder(this.settingsManager);
+        const lettersRow = rowBuilder.createSpinRow('caps-typing-letters', 3, 100, 1);
+        const shiftedRow = rowBuilder.createSpinRow('caps-typing-shifted-letters', 1, 100, 1);
+        this.settingsManager.bind('caps-typing-warning', lettersRow, 'sensitive');
+        this.settingsManager.bind('caps-typing-warning', shiftedRow, 'sensitive');
+
+        group.add(rowBuilder.createSwitchRow('caps-typing-warning'));
+        group.add(lettersRow);
+        group.add(shiftedRow);
+
+        this.page.add(group);
+    }
+}
+
+class ShortcutOverlayGroupBuilder {
+    constructor(settingsManager, page) {
+        this.settingsManager = settingsManager;
+        this.page = page;
+    }
+
+    createGroup() {
+        console.debug(`${LOG_TAG} Creating shortcut cheat sheet group`);
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Shortcut cheat sheet'),
+            description: _('Lists the window manager, shell and media key shortcuts that start with the held modifiers. It hides on release or when another key is pressed.'),
+        });
+
+        const rowBuilder = new RowBuilder(this.settingsManager);
+        const delayRow = rowBuilder.createSpinRow('shortcut-overlay-delay', 250, 5000, 50);
+        this.settingsManager.bind('shortcut-overlay-enabled', delayRow, 'sensitive');
+
+        group.add(rowBuilder.createSwitchRow('shortcut-overlay-enabled'));
+        group.add(delayRow);
+
+        this.page.add(group);
+    }
+}
+
+class OsdPageBuilder {
+    constructor(settingsManager) {
+        this.settingsManager = settingsManager;
+    }
+
+    createPage() {
+        console.debug(`${LOG_TAG} Creating OSD page`);
+
+        const page = new Adw.PreferencesPage({
+            title: _('OSD'),
+            icon_name: 'preferences-desktop-display-symbolic',
+        });
+        const rowBuilder = new RowBuilder(this.settingsManager);
+
+        const positionGroup = new Adw.PreferencesGroup({
+            title: _('Position'),
+            description: _('Offsets are in em and measured from the chosen anchor.'),
+        });
+        positionGroup.add(rowBuilder.createComboRow('osd-monitor', getOsdMonitors()));
+        positionGroup.add(rowBuilder.createComboRow('osd-position', getOsdPositions()));
+        positionGroup.add(rowBuilder.createSpinRow('osd-offset-x', -100, 100, 0.5, 1));
+        positionGroup.add(rowBuilder.createSpinRow('osd-offset-y', -100, 100, 0.5, 1));
+        page.add(positionGroup);
+
+        const timingGroup = new Adw.PreferencesGroup({
+            title: _('Timing'),
+            description: _('Durations are in milliseconds.'),
+        });
+        timingGroup.add(rowBuilder.createSpinRow('osd-hide-timeout', 250, 10000, 50));
+        timingGroup.add(rowBuilder.createSpinRow('osd-fade-time', 0, 2000, 10));
+        timingGroup.add(rowBuilder.createSpinRow('osd-merge-time', 0, 2000, 50));
+        page.add(timingGroup);
+
+        const appearanceGroup = new Adw.PreferencesGroup({ title: _('Appearance') });
+        appearanceGroup.add(rowBuilder.createComboRow('osd-layout', getOsdLayouts()));
+        const iconNameRow = rowBuilder.createEntryRow('osd-icon-name');
+        this.settingsManager.bind('osd-show-icon', iconNameRow, 'sensitive');
+        appearanceGroup.add(rowBuilder.createSwitchRow('osd-show-icon'));
+        appearanceGroup.add(iconNameRow);
+        appearanceGroup.add(rowBuilder.createSpinRow('osd-font-scale', 0.5, 4, 0.1, 1));
+        page.add(appearanceGroup);
+
+        return page;
+    }
+}
+
+class ScreencastPageBuilder {
+    constructor(settingsManager) {
+        this.settingsManager = settingsManager;
+    }
+
+    createPage() {
+        console.debug(`${LOG_TAG} Creating screencast page`);
+
+        const page = new Adw.PreferencesPage({
+            title: _('Screencast'),
+            icon_name: 'media-record-symbolic',
+        });
+        const rowBuilder = new RowBuilder(this.settingsManager);
+
+        const generalGroup = new Adw.PreferencesGroup({
+            title: _('Screencast mode'),
+            description: _('Shows the pressed key combinations on screen, for example while recording tutorials.'),
+        });
+        generalGroup.add(rowBuilder.createSwitchRow('screencast-enabled'));
+        generalGroup.add(this._createShortcutRow('screencast-shortcut'));
+        page.add(generalGroup);
+
+        const privacyGroup = new Adw.PreferencesGroup({ title: _('Privacy') });
+        privacyGroup.add(rowBuilder.createSwitchRow('screencast-hide-typing'));
+        privacyGroup.add(rowBuilder.createSwitchRow('screencast-hide-passwords'));
+        page.add(privacyGroup);
+
+        const displayGroup = new Adw.PreferencesGroup({ title: _('Display') });
+        displayGroup.add(rowBuilder.createComboRow('screencast-position', getOsdPositions()));
+        displayGroup.add(rowBuilder.createSpinRow('screencast-timeout', 500, 10000, 100));
+        displayGroup.add(rowBuilder.createSpinRow('screencast-max-lines', 1, 10, 1));
+        page.add(displayGroup);
+
+        return page;
+    }
+
+    // Accelerators are typed in GTK syntax, e.g. <Shift><Super>k
+    _createShortcutRow(key) {
+        const row = new Adw.EntryRow({
+            title: _(this.settingsManager.getSchemaKey(key).get_summary()),
+            show_apply_button: true,
+        });
+
+        const syncRow = () => {
+            row.text = this.settingsManager.getValue(key)[0] ?? '';
+            row.remove_css_class('error');
+        };
+        syncRow();
+
+        row.connect('apply', () => {
+            const accelerator = row.text.trim();
+            const [valid] = Gtk.accelerator_parse(accelerator);
+
+            if (accelerator !== '' && !valid) {
+                row.add_css_class('error');
+                return;
+            }
+
+            row.remove_css_class('error');
+            this.settingsManager.setValue(key, 'as', accelerator ? [accelerator] : []);
+        });
+        this.settingsManager.connect(`changed::${key}`, syncRow);
+
+        return row;
+    }
+}
+
+class SoundPageBuilder {
+    constructor(settingsManager, window) {
+        this.settingsManager = settingsManager;
+        this.window = window;
+    }
+
+    createPage() {
+        console.debug(`${LOG_TAG} Creating sound page`);
+
+        const page = new Adw.PreferencesPage({
+            title: _('Sounds'),
+            icon_name: 'audio-volume-high-symbolic',
+        });
+        const rowBuilder = new RowBuilder(this.settingsManager);
+
+        const generalGroup = new Adw.PreferencesGroup({
+            title: _('Lock key sounds'),
+            description: _('Plays a sound when Caps Lock, Num Lock or Scroll Lock is toggled.'),
+        });
+        generalGroup.add(rowBuilder.createSwitchRow('lock-sound-enabled'));
+        generalGroup.add(rowBuilder.createSwitchRow('lock-sound-only-when-osd-suppressed'));
+        const volumeRow = rowBuilder.createSpinRow('lock-sound-volume', 0, 100, 5);
+        volumeRow.subtitle = _('Lower volumes need GSound to be installed');
+        generalGroup.add(volumeRow);
+        page.add(generalGroup);
+
+        const soundsGroup = new Adw.PreferencesGroup({
+            title: _('Sounds'),
+            description: _('A name from the sound theme, such as bell or message, or a sound file. Empty plays nothing.'),
+        });
+        ['caps', 'num', 'scroll'].forEach(name => {
+            soundsGroup.add(this._createSoundRow(`${name}-sound-on`));
+            soundsGroup.add(this._createSoundRow(`${name}-sound-off`));
+        });
+        page.add(soundsGroup);
+
+        return page;
+    }
+
+    _createSoundRow(key) {
+        const row = new RowBuilder(this.settingsManager).createEntryRow(key);
+
+        const button = new Gtk.Button({
+            icon_name: 'document-open-symbolic',
+            tooltip_text: _('Choose a sound file'),
+            valign: Gtk.Align.CENTER,
+        });
+        button.add_css_class('flat');
+        button.connect('clicked', () => this._chooseFile(key));
+        row.add_suffix(button);
+
+        return row;
+    }
+
+    _chooseFile(key) {
+        const filter = new Gtk.FileFilter({ name: _('Sound files') });
+        filter.add_mime_type('audio/*');
+
+        const filters = new Gio.ListStore({ item_type: Gtk.FileFilter });
+        filters.append(filter);
+
+        const dialog = new Gtk.FileDialog({
+            title: _('Choose a sound file'),
+            modal: true,
+            filters,
+        });
+
+        dialog.open(this.window, null, (_dialog, result) => {
+            try {
+                const file = dialog.open_finish(result);
+                this.settingsManager.setValue(key, 's', file.get_path());
+            } catch (e) {
+                // Dismissed
+            }
+        });
+    }
+}
+
+class AppLocksPageBuilder {
+    constructor(settingsManager) {
+        this.settingsManager = settingsManager;
+        this.rulesGroup = null;
+        this.ruleRows = [];
+        this.updating = false;
+    }
+
+    createPage() {
+        console.debug(`${LOG_TAG} Creating applications page`);
+
+        const page = new Adw.PreferencesPage({
+            title: _('Applications'),
+            icon_name: 'view-app-grid-symbolic',
+        });
+        const rowBuilder = new RowBuilder(this.settingsManager);
+
+        const memoryGroup = new Adw.PreferencesGroup({
+            title: _('Lock state memory'),
+            description: _('Restores the Caps Lock and Num Lock state when an application gets the focus.'),
+        });
+        memoryGroup.add(rowBuilder.createSwitchRow('app-lock-memory'));
+        page.add(memoryGroup);
+
+        this.rulesGroup = new Adw.PreferencesGroup({
+            title: _('Rules'),
+            description: _('Fixed lock states for single applications, identified by application ID (e.g. org.gnome.Terminal) or WM class. Rules take precedence over the remembered state.'),
+        });
+
+        const addRow = new Adw.EntryRow({
+            title: _('Add application'),
+            show_apply_button: true,
+        });
+        addRow.connect('apply', () => {
+            const appId = addRow.text.trim();
+            if (appId) {
+                this._setRule(appId, { caps: 'keep', num: 'keep' });
+                addRow.text = '';
+            }
+        });
+        this.rulesGroup.add(addRow);
+        page.add(this.rulesGroup);
+
+        this._rebuildRules();
+        this.settingsManager.connect('changed::app-lock-rules', () => {
+            if (!this.updating) {
+                this._rebuildRules();
+            }
+        });
+
+        return page;
+    }
+
+    _getRules() {
+        return this.settingsManager.getValue('app-lock-rules');
+    }
+
+    _saveRules(rules) {
+        this.updating = true;
+        this.settingsManager.setValue('app-lock-rules', 'a{sa{ss}}', rules);
+        this.updating = false;
+    }
+
+    _setRule(appId, rule) {
+        this._saveRules({ ...this._getRules(), [appId]: rule });
+        this._rebuildRules();
+    }
+
+    _deleteRule(appId) {
+        const rules = this._getRules();
+        delete rules[appId];
+        this._saveRules(rules);
+        this._rebuildRules();
+    }
+
+    _rebuildRules() {
+        this.ruleRows.forEach(row => this.rulesGroup.remove(row));
+        this.ruleRows = Object.entries(this._getRules())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([appId, rule]) => this._createRuleRow(appId, rule));
+        this.ruleRows.forEach(row => this.rulesGroup.add(row));
+    }
+
+    _createRuleRow(appId, rule) {
+        const states = getLockRuleStates();
+        const expander = new Adw.ExpanderRow({ title: appId });
+
+        const updateSubtitle = () => {
+            const label = name => states.find(([value]) => value === (rule[name] ?? 'keep'))[1];
+            expander.subtitle = `${_('Caps Lock')}: ${label('caps')}, ${_('Num Lock')}: ${label('num')}`;
+        };
+        updateSubtitle();
+
+        [['caps', _('Caps Lock')], ['num', _('Num Lock')]].forEach(([name, title]) => {
+            const row = new Adw.ComboRow({
+                title,
+                model: Gtk.StringList.new(states.map(([, label]) => label)),
+                selected: Math.max(states.findIndex(([value]) => value === rule[name]), 0),
+            });
+            row.connect('notify::selected', () => {
+                rule = { ...rule, [name]: states[row.selected][0] };
+                this._saveRules({ ...this._getRules(), [appId]: rule });
+                updateSubtitle();
+            });
+            expander.add_row(row);
+        });
+
+        const deleteButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Delete rule'),
+            valign: Gtk.Align.CENTER,
+        });
+        deleteButton.add_css_class('flat');
+        deleteButton.connect('clicked', () => this._deleteRule(appId));
+        expander.add_suffix(deleteButton);
+
+        return expander;
+    }
+}
+
+// Counts are written by the extension; the page only reads them and asks the
+// extension to reset them through the statistics-reset key.
+class StatisticsPageBuilder {
+    constructor(settingsManager, window) {
+        this.settingsManager = settingsManager;
+        this.window = window;
+        this.file = Gio.File.new_for_path(
+            GLib.build_filenamev([GLib.get_user_data_dir(), 'kbd-informer', 'statistics.json']));
+        this.monitor = null;
+        this.rows = new Map();
+        this.sinceRow = null;
+    }
+
+    createPage() {
+        console.debug(`${LOG_TAG} Creating statistics page`);
+
+        const page = new Adw.PreferencesPage({
+            title: _('Statistics'),
+            icon_name: 'utilities-system-monitor-symbolic',
+        });
+        const rowBuilder = new RowBuilder(this.settingsManager);
+
+        const generalGroup = new Adw.PreferencesGroup({
+            title: _('Usage statistics'),
+            description: _('Counts how often modifiers are pressed and locks are toggled. The typed keys are never recorded.'),
+        });
+        generalGroup.add(rowBuilder.createSwitchRow('statistics-enabled'));
+        generalGroup.add(rowBuilder.createSpinRow('statistics-accidental-threshold', 1, 60, 1));
+        page.add(generalGroup);
+
+        // Keep the interval in line with STATISTICS_SAVE_DELAY_S in extension.js
+        const countsGroup = new Adw.PreferencesGroup({
+            title: _('Counts'),
+            description: _('The extension saves the counts every 30 seconds, so the latest presses and toggles can be missing here.'),
+        });
+        countsGroup.set_header_suffix(this._createButtons());
+
+        this.sinceRow = new Adw.ActionRow({ title: _('Recording since') });
+        countsGroup.add(this.sinceRow);
+
+        MODIFIER_KEYS.forEach(([mask, name]) => {
+            const row = new Adw.ActionRow({ title: _(MODIFIER_TITLES.get(mask)) });
+            this.rows.set(name, row);
+            countsGroup.add(row);
+        });
+        page.add(countsGroup);
+
+        this.monitor = this.file.monitor_file(Gio.FileMonitorFlags.NONE, null);
+        this.monitor.connect('changed', () => this._refresh());
+        this._refresh();
+
+        return page;
+    }
+
+    _createButtons() {
+        const box = new Gtk.Box({ spacing: 6 });
+
+        const exportButton = new Gtk.Button({ label: _('Export CSV…'), valign: Gtk.Align.CENTER });
+        exportButton.connect('clicked', () => this._export());
+        box.append(exportButton);
+
+        const resetButton = new Gtk.Button({ label: _('Reset'), valign: Gtk.Align.CENTER });
+        resetButton.add_css_class('destructive-action');
+        resetButton.connect('clicked', () => {
+            DialogManager.showResetStatisticsConfirmation(this.window, () => {
+                this.settingsManager.setValue('statistics-reset', 'x', Math.floor(Date.now() / 1000));
+            });
+        });
+        box.append(resetButton);
+
+        return box;
+    }
+
+    _load() {
+        try {
+            const [, contents] = this.file.load_contents(null);
+            return JSON.parse(new TextDecoder().decode(contents));
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                console.warn(`${LOG_TAG} Could not read statistics: ${e}`);
+            }
+            return null;
+        }
+    }
+
+    _refresh() {
+        const data = this._load();
+
+        this.sinceRow.subtitle = data?.since
+            ? GLib.DateTime.new_from_unix_local(data.since).format('%x %X')
+            : _('No statistics recorded yet');
+
+        this.rows.forEach((row, name) => {
+            const { presses = 0, toggles = 0, accidental = 0 } = data?.modifiers?.[name] ?? {};
+            row.subtitle = ['caps', 'num', 'scroll'].includes(name)
+                ? ngettext('Toggled %d time, %d accidentally', 'Toggled %d times, %d accidentally', toggles)
+                    .format(toggles, accidental)
+                : ngettext('Pressed %d time', 'Pressed %d times', presses).format(presses);
+        });
+    }
+
+    _toCsv(data) {
+        const lines = ['modifier,presses,toggles,accidental'];
+        MODIFIER_NAMES.forEach(name => {
+            const { presses = 0, toggles = 0, accidental = 0 } = data?.modifiers?.[name] ?? {};
+            lines.push(`${name},${presses},${toggles},${accidental}`);
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    _export() {
+        const filter = new Gtk.FileFilter({ name: _('CSV files') });
+        filter.add_pattern('*.csv');
+
+        const filters = new Gio.ListStore({ item_type: Gtk.FileFilter });
+        filters.append(filter);
+
+        const dialog = new Gtk.FileDialog({
+            title: _('Export statistics'),
+            modal: true,
+            filters,
+            initial_name: 'kbd-informer-statistics.csv',
+        });
+
+        dialog.save(this.window, null, (_dialog, result) => {
+            let file;
+            try {
+                file = dialog.save_finish(result);
+            } catch (e) {
+                return; // Dismissed
+            }
+
+            try {
+                const bytes = new TextEncoder().encode(this._toCsv(this._load()));
+                file.replace_contents(bytes, null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+                console.debug(`${LOG_TAG} Statistics exported to ${file.get_path()}`);
+            } catch (e) {
+                console.error(`${LOG_TAG} Error exporting statistics: ${e}`);
+                DialogManager.showError(this.window, _('Export failed'), e.message);
+            }
+        });
+    }
+
+    destroy() {
+        this.monitor?.cancel();
+        this.monitor = null;
+        this.rows.clear();
+    }
+}
+
+// Main Preferences Class
+export default class KeyboardInformerPreferences extends ExtensionPreferences {
+    fillPreferencesWindow(window) {
+        console.debug(`${LOG_TAG} Initializing preferences window`);
+
+        const settingsManager = new SettingsManager(this.getSettings());
+        settingsManager.initialize();
+
+        const page = new Adw.PreferencesPage({
+            title: _('General'),
+            icon_name: 'input-keyboard-symbolic',
+        });
+        const groupBuilder = new GroupBuilder(settingsManager, page, window);
 
         this._createPreferenceGroups(groupBuilder, settingsManager);
+        new IconGroupBuilder(settingsManager, page, this.path).createGroup();
+        new ColorGroupBuilder(settingsManager, page).createGroup();
+        new LayoutGroupBuilder(settingsManager, page).createGroup();
+        new PanelGroupBuilder(settingsManager, page).createGroup();
+        new PanelSymbolsGroupBuilder(settingsManager, page).createGroup();
+        new NotificationGroupBuilder(settingsManager, page).createGroup();
+        new CapsReleaseGroupBuilder(settingsManager, page).createGroup();
+        new CapsTypingGroupBuilder(settingsManager, page).createGroup();
+        new ShortcutOverlayGroupBuilder(settingsManager, page).createGroup();
+        new TransferGroupBuilder(settingsManager, page, window).createGroup();
+
+        const statisticsPageBuilder = new StatisticsPageBuilder(settingsManager, window);
 
         let cleanedUp = false;
         window.connect('close-request', () => {
             if (!cleanedUp) {
+                statisticsPageBuilder.destroy();
                 settingsManager.destroy();
                 cleanedUp = true;
             }
@@ -476,6 +1931,11 @@ export default class KeyboardInformerPreferences extends ExtensionPreferences {
         });
 
         window.add(page);
+        window.add(new OsdPageBuilder(settingsManager).createPage());
+        window.add(new ScreencastPageBuilder(settingsManager).createPage());
+        window.add(new SoundPageBuilder(settingsManager, window).createPage());
+        window.add(new AppLocksPageBuilder(settingsManager).createPage());
+        window.add(statisticsPageBuilder.createPage());
         window.show();
 
         console.debug(`${LOG_TAG} Preferences window initialized`);
@@ -488,7 +1948,8 @@ export default class KeyboardInformerPreferences extends ExtensionPreferences {
             _('Symbols for modifier keys'),
             _('Sets the symbols displayed for modifier keys when they are pressed.'),
             CONFIG_KEYS.modifiers,
-            symbolPresets.modifiers.get(_('Symbols'))
+            symbolPresets.modifiers.get('default').values,
+            new PresetManager(settingsManager, CONFIG_KEYS.modifiers, symbolPresets.modifiers)
         );
     }
 }
@@ -0,0 +1,41 @@
+// Minimal test harness for plain gjs, so the suite needs nothing but gjs
+
+const tests = [];
+
+export function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function format(value) {
+    return JSON.stringify(value, (_key, item) => item instanceof Map ? [...item] : item);
+}
+
+export function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n  expected: ${format(expected)}\n  actual:   ${format(actual)}`);
+    }
+}
+
+export function assertDeepEqual(actual, expected, message = '') {
+    if (format(actual) !== format(expected)) {
+        throw new Error(`${message}\n  expected: ${format(expected)}\n  actual:   ${format(actual)}`);
+    }
+}
+
+// Runs the registered tests and returns the number of failures
+export function run() {
+    let failures = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            fn();
+            print(`ok - ${name}`);
+        } catch (e) {
+            failures++;
+            print(`not ok - ${name}: ${e.message}`);
+        }
+    }
+
+    print(`\n${tests.length - failures} passed, ${failures} failed`);
+    return failures;
+}
@@ -0,0 +1,21 @@
+// Runs the test suite with plain gjs: gjs -m tests/run.js
+
+import System from 'system';
+
+import { run } from './harness.js';
+import { removeCompiledSchemas } from './settings.js';
+import './testModifiers.js';
+import './testNotifications.js';
+import './testIndicator.js';
+import './testShortcuts.js';
+import './testStatistics.js';
+import './testSymbolSettings.js';
+
+let failures;
+try {
+    failures = run();
+} finally {
+    removeCompiledSchemas();
+}
+
+System.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,48 @@
+// Settings of the extension schema on a memory backend, so the tests
+// neither need the schema installed nor touch the user's settings
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const SCHEMA_ID = 'org.gnome.shell.extensions.kbd-informer';
+
+let schemaSource = null;
+let schemaDir = null;
+
+function compileSchemas() {
+    const [thisFile] = GLib.filename_from_uri(import.meta.url);
+    const sourceDir = GLib.build_filenamev([GLib.path_get_dirname(GLib.path_get_dirname(thisFile)), 'schemas']);
+    schemaDir = GLib.dir_make_tmp('kbd-informer-tests-XXXXXX');
+
+    const [, , stderr, status] = GLib.spawn_sync(null,
+        ['glib-compile-schemas', '--strict', '--targetdir', schemaDir, sourceDir],
+        null, GLib.SpawnFlags.SEARCH_PATH, null);
+    if (status !== 0) {
+        throw new Error(`glib-compile-schemas failed: ${new TextDecoder().decode(stderr)}`);
+    }
+
+    schemaSource = Gio.SettingsSchemaSource.new_from_directory(schemaDir, null, false);
+}
+
+export function createMemorySettings() {
+    if (!schemaSource) {
+        compileSchemas();
+    }
+
+    return new Gio.Settings({
+        settings_schema: schemaSource.lookup(SCHEMA_ID, false),
+        backend: Gio.memory_settings_backend_new(),
+    });
+}
+
+export function removeCompiledSchemas() {
+    if (!schemaDir) {
+        return;
+    }
+
+    const dir = Gio.File.new_for_path(schemaDir);
+    dir.get_child('gschemas.compiled').delete(null);
+    dir.delete(null);
+    schemaDir = null;
+    schemaSource = null;
+}
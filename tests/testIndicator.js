@@ -0,0 +1,78 @@
+import { test, assertEqual, assertDeepEqual } from './harness.js';
+import { MODIFIER_MASKS, STICKY_STATE, ModifierStateTracker } from '../lib/modifiers.js';
+import { PANEL_SYMBOLS, buildIndicatorSymbols } from '../lib/indicator.js';
+
+const { SHIFT, LOCK, CONTROL } = MODIFIER_MASKS;
+
+function summarize(symbols) {
+    return symbols.map(({ name, isActive }) => [name, isActive]);
+}
+
+function createSymbols(mode = 'text') {
+    return {
+        mode,
+        modifiers: [[SHIFT, '⇧'], [LOCK, 'Caps'], [CONTROL, '⋀']],
+        icons: new Map([[SHIFT, 'shift-icon'], [LOCK, 'caps-icon'], [CONTROL, 'control-icon']]),
+        colors: new Map([[SHIFT, { foreground: 'red', background: '' }]]),
+    };
+}
+
+function createTracker(state, sticky) {
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(state, sticky);
+    return tracker;
+}
+
+test('only active modifiers are shown, in panel order', () => {
+    const symbols = buildIndicatorSymbols(createTracker(CONTROL | SHIFT), createSymbols());
+
+    assertDeepEqual(symbols.map(({ name, text }) => [name, text]), [['shift', '⇧'], ['control', '⋀']]);
+    assertDeepEqual(symbols[0].colors, { foreground: 'red', background: '' });
+});
+
+test('the layout label goes first', () => {
+    const symbols = buildIndicatorSymbols(createTracker(LOCK), createSymbols(), { layoutLabel: 'US' });
+
+    assertDeepEqual(symbols.map(({ name, text }) => [name, text]), [['layout', 'US'], ['caps', 'Caps']]);
+});
+
+test('icons are only used in icon mode', () => {
+    assertEqual(buildIndicatorSymbols(createTracker(SHIFT), createSymbols())[0].gicon, null);
+    assertEqual(buildIndicatorSymbols(createTracker(SHIFT), createSymbols('icon'))[0].gicon, 'shift-icon');
+});
+
+test('sticky states are only shown with Sticky Keys enabled', () => {
+    const tracker = createTracker(SHIFT, { latched: SHIFT, locked: 0 });
+
+    assertEqual(buildIndicatorSymbols(tracker, createSymbols())[0].stickyState, null);
+    assertEqual(buildIndicatorSymbols(tracker, createSymbols(), { stickyKeysEnabled: true })[0].stickyState,
+        STICKY_STATE.LATCHED);
+});
+
+test('nothing is shown without active modifiers', () => {
+    assertDeepEqual(buildIndicatorSymbols(createTracker(0), createSymbols()), []);
+});
+
+test('all modifiers are shown with inactive ones marked', () => {
+    const symbols = buildIndicatorSymbols(createTracker(LOCK), createSymbols(), { panelSymbols: PANEL_SYMBOLS.ALL });
+
+    assertDeepEqual(summarize(symbols), [['shift', false], ['caps', true], ['control', false]]);
+});
+
+test('only lock keys are shown in locks mode', () => {
+    const symbols = buildIndicatorSymbols(createTracker(SHIFT), createSymbols(), { panelSymbols: PANEL_SYMBOLS.LOCKS });
+
+    assertDeepEqual(summarize(symbols), [['caps', false]]);
+});
+
+test('hidden modifiers and empty symbols are left out', () => {
+    const symbols = createSymbols();
+    symbols.modifiers = [[SHIFT, ''], [LOCK, 'Caps'], [CONTROL, '⋀']];
+    const options = { panelSymbols: PANEL_SYMBOLS.ALL, hiddenMask: CONTROL };
+
+    assertDeepEqual(summarize(buildIndicatorSymbols(createTracker(SHIFT), symbols, options)), [['caps', false]]);
+
+    symbols.mode = 'icon';
+    assertDeepEqual(summarize(buildIndicatorSymbols(createTracker(SHIFT), symbols, options)),
+        [['shift', true], ['caps', false]]);
+});
@@ -0,0 +1,76 @@
+import { test, assertEqual, assertDeepEqual } from './harness.js';
+import {
+    MODIFIER_MASKS, LOCK_MODIFIERS_MASK, STICKY_MODIFIERS_MASK, STICKY_STATE, ModifierStateTracker,
+} from '../lib/modifiers.js';
+
+const { SHIFT, LOCK, CONTROL } = MODIFIER_MASKS;
+
+test('tracker reports no change before a previous state exists', () => {
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(SHIFT);
+
+    assertEqual(tracker.previousState, null);
+    assertEqual(tracker.hasStateChanged(), true);
+    assertEqual(tracker.getModifierChangeInfo(SHIFT), null);
+    assertEqual(tracker.isModifierActive(SHIFT), true);
+});
+
+test('tracker reports press and release transitions', () => {
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(0);
+    tracker.updateState(SHIFT | LOCK);
+
+    assertDeepEqual(tracker.getModifierChangeInfo(SHIFT), { wasActive: false, isActive: true });
+    assertDeepEqual(tracker.getModifierChangeInfo(LOCK), { wasActive: false, isActive: true });
+    assertEqual(tracker.getModifierChangeInfo(CONTROL), null);
+
+    tracker.updateState(LOCK);
+    assertDeepEqual(tracker.getModifierChangeInfo(SHIFT), { wasActive: true, isActive: false });
+    assertEqual(tracker.getModifierChangeInfo(LOCK), null);
+});
+
+test('tracker ignores repeated identical states', () => {
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(CONTROL);
+    tracker.updateState(CONTROL);
+
+    assertEqual(tracker.hasStateChanged(), false);
+});
+
+test('tracker sees sticky changes of an unchanged state', () => {
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(SHIFT, { latched: SHIFT, locked: 0 });
+    tracker.updateState(SHIFT, { latched: 0, locked: SHIFT });
+
+    assertEqual(tracker.hasStateChanged(), true);
+    assertEqual(tracker.getModifierChangeInfo(SHIFT), null);
+    assertDeepEqual(tracker.getStickyChangeInfo(SHIFT),
+        { wasSticky: STICKY_STATE.LATCHED, isSticky: STICKY_STATE.LOCKED });
+    assertEqual(tracker.getStickyState(SHIFT), STICKY_STATE.LOCKED);
+});
+
+test('held modifiers leave out locks and sticky modifiers', () => {
+    const tracker = new ModifierStateTracker();
+    assertEqual(tracker.getHeldModifiers(), 0);
+
+    tracker.updateState(SHIFT | CONTROL | LOCK);
+    assertEqual(tracker.getHeldModifiers(), SHIFT | CONTROL);
+
+    tracker.updateState(SHIFT | CONTROL, { latched: SHIFT, locked: 0 });
+    assertEqual(tracker.getHeldModifiers(), CONTROL);
+});
+
+test('tracker reset forgets the previous state', () => {
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(0);
+    tracker.updateState(SHIFT);
+    tracker.reset();
+    tracker.updateState(SHIFT);
+
+    assertEqual(tracker.getModifierChangeInfo(SHIFT), null);
+});
+
+test('sticky modifiers exclude the locks', () => {
+    assertEqual(STICKY_MODIFIERS_MASK & LOCK_MODIFIERS_MASK, 0);
+    assertEqual((STICKY_MODIFIERS_MASK & SHIFT) !== 0, true);
+});
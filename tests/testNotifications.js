@@ -0,0 +1,102 @@
+import { test, assertEqual, assertDeepEqual } from './harness.js';
+import { MODIFIER_MASKS, ModifierStateTracker } from '../lib/modifiers.js';
+import { LockChangeCollector, NOTIFY_POLICY, buildLockLeds, selectNotifications, shouldNotify } from '../lib/notifications.js';
+
+const { SHIFT, LOCK, MOD2, MOD3 } = MODIFIER_MASKS;
+
+function createTracker(...states) {
+    const tracker = new ModifierStateTracker();
+    states.forEach(([state, sticky]) => tracker.updateState(state, sticky));
+    return tracker;
+}
+
+function notificationsFor(policies) {
+    return policies.map(([mask, policy]) => [mask, { policy, title: `title-${mask}` }]);
+}
+
+function summarize(selected) {
+    return selected.map(({ mask, message }) => [mask, message]);
+}
+
+test('policies decide on activation and deactivation', () => {
+    assertDeepEqual([true, false].map(active => shouldNotify(NOTIFY_POLICY.NEVER, active)), [false, false]);
+    assertDeepEqual([true, false].map(active => shouldNotify(NOTIFY_POLICY.ENABLE, active)), [true, false]);
+    assertDeepEqual([true, false].map(active => shouldNotify(NOTIFY_POLICY.DISABLE, active)), [false, true]);
+    assertDeepEqual([true, false].map(active => shouldNotify(NOTIFY_POLICY.BOTH, active)), [true, true]);
+    assertEqual(shouldNotify('unknown', true), false);
+});
+
+test('nothing is announced for the first state', () => {
+    const tracker = createTracker([LOCK]);
+    const notifications = notificationsFor([[LOCK, NOTIFY_POLICY.BOTH]]);
+
+    assertDeepEqual(selectNotifications(tracker, notifications), []);
+});
+
+test('only modifiers whose policy matches the change are announced', () => {
+    const tracker = createTracker([MOD2], [LOCK]);
+    const notifications = notificationsFor([
+        [LOCK, NOTIFY_POLICY.ENABLE],
+        [MOD2, NOTIFY_POLICY.ENABLE],
+        [SHIFT, NOTIFY_POLICY.BOTH],
+    ]);
+
+    assertDeepEqual(summarize(selectNotifications(tracker, notifications)), [[LOCK, 'On']]);
+});
+
+test('notifications carry the configured title', () => {
+    const tracker = createTracker([LOCK], [0]);
+    const [notification] = selectNotifications(tracker, [[LOCK, { policy: NOTIFY_POLICY.BOTH, title: 'Caps' }]]);
+
+    assertEqual(notification.title, 'Caps');
+    assertEqual(notification.message, 'Off');
+    assertEqual(notification.isActive, false);
+});
+
+test('sticky states are announced only with Sticky Keys enabled', () => {
+    const tracker = createTracker([0], [SHIFT, { latched: SHIFT, locked: 0 }]);
+    const notifications = notificationsFor([[SHIFT, NOTIFY_POLICY.BOTH]]);
+
+    assertDeepEqual(summarize(selectNotifications(tracker, notifications)), [[SHIFT, 'On']]);
+    assertDeepEqual(summarize(selectNotifications(tracker, notifications, { stickyKeysEnabled: true })),
+        [[SHIFT, 'Latched']]);
+});
+
+test('a latched modifier becoming locked is announced', () => {
+    const tracker = createTracker([SHIFT, { latched: SHIFT, locked: 0 }], [SHIFT, { latched: 0, locked: SHIFT }]);
+    const notifications = notificationsFor([[SHIFT, NOTIFY_POLICY.ENABLE]]);
+
+    assertDeepEqual(summarize(selectNotifications(tracker, notifications, { stickyKeysEnabled: true })),
+        [[SHIFT, 'Locked']]);
+    assertDeepEqual(selectNotifications(tracker, notifications), []);
+});
+
+test('an automatic Caps Lock release is announced whatever the policy', () => {
+    const tracker = createTracker([LOCK], [0]);
+    const notifications = notificationsFor([[LOCK, NOTIFY_POLICY.NEVER]]);
+
+    const [notification] = selectNotifications(tracker, notifications, { capsReleaseReason: 'idle' });
+    assertEqual(notification.message, 'Off');
+    assertEqual(notification.releaseReason, 'idle');
+    assertDeepEqual(selectNotifications(tracker, notifications), []);
+});
+
+test('the LED bar shows every lock and highlights the changed ones', () => {
+    const tracker = createTracker([0], [LOCK | MOD2]);
+    const notifications = notificationsFor([[SHIFT, NOTIFY_POLICY.BOTH], [LOCK, NOTIFY_POLICY.NEVER]]);
+
+    assertDeepEqual(buildLockLeds(tracker, notifications, MOD2), [
+        { mask: LOCK, title: `title-${LOCK}`, isActive: true, changed: false },
+        { mask: MOD2, title: '', isActive: true, changed: true },
+        { mask: MOD3, title: '', isActive: false, changed: false },
+    ]);
+});
+
+test('lock changes within the merge time are collected', () => {
+    const collector = new LockChangeCollector();
+
+    assertEqual(collector.add(LOCK, 1000, 300), LOCK);
+    assertEqual(collector.add(MOD2, 1200, 300), LOCK | MOD2);
+    assertEqual(collector.add(MOD3, 1400, 300), MOD3);
+    assertEqual(collector.add(LOCK, 1500, 0), LOCK);
+});
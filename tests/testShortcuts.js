@@ -0,0 +1,45 @@
+import { test, assertEqual, assertDeepEqual } from './harness.js';
+import { MODIFIER_MASKS } from '../lib/modifiers.js';
+import { findShortcuts, parseAccelerator } from '../lib/shortcuts.js';
+
+const { SHIFT, CONTROL, MOD1, MOD4 } = MODIFIER_MASKS;
+
+function summarize(shortcuts) {
+    return shortcuts.map(({ title, mask, key }) => [title, mask, key]);
+}
+
+test('accelerators are split into modifiers and key', () => {
+    assertDeepEqual(parseAccelerator('<Super>Left'), { mask: MOD4, key: 'Left' });
+    assertDeepEqual(parseAccelerator('<Primary><Alt>t'), { mask: CONTROL | MOD1, key: 't' });
+    assertDeepEqual(parseAccelerator('<Shift><super>Page_Up'), { mask: SHIFT | MOD4, key: 'Page_Up' });
+    assertDeepEqual(parseAccelerator('XF86AudioMute'), { mask: 0, key: 'XF86AudioMute' });
+});
+
+test('empty, disabled and unknown accelerators are skipped', () => {
+    assertEqual(parseAccelerator(''), null);
+    assertEqual(parseAccelerator('disabled'), null);
+    assertEqual(parseAccelerator('<Super>'), null);
+    assertEqual(parseAccelerator('<Hyper>a'), null);
+});
+
+test('shortcuts need at least the held modifiers', () => {
+    const bindings = [
+        { title: 'Terminal', accelerators: ['<Control><Alt>t'] },
+        { title: 'Move left', accelerators: ['<Shift><Super>Left'] },
+        { title: 'Overview', accelerators: ['<Super>s', 'XF86LaunchA'] },
+        { title: 'Mute', accelerators: ['XF86AudioMute'] },
+    ];
+
+    assertDeepEqual(summarize(findShortcuts(bindings, MOD4)), [
+        ['Overview', MOD4, 's'],
+        ['Move left', SHIFT | MOD4, 'Left'],
+    ]);
+    assertDeepEqual(summarize(findShortcuts(bindings, CONTROL | MOD1)), [['Terminal', CONTROL | MOD1, 't']]);
+    assertDeepEqual(findShortcuts(bindings, 0), []);
+});
+
+test('duplicate accelerators of a binding are listed once', () => {
+    const bindings = [{ title: 'Workspace', accelerators: ['<Super>Page_Up', '<Super>page_up'] }];
+
+    assertEqual(findShortcuts(bindings, MOD4).length, 1);
+});
@@ -0,0 +1,80 @@
+import { test, assertEqual, assertDeepEqual } from './harness.js';
+import { MODIFIER_KEYS, MODIFIER_MASKS, ModifierStateTracker } from '../lib/modifiers.js';
+import { StatisticsCounter } from '../lib/statistics.js';
+
+const { SHIFT, LOCK } = MODIFIER_MASKS;
+const SECOND = 1000000;
+
+function createModifiers() {
+    return Object.fromEntries(MODIFIER_KEYS.map(([, name]) => [name, { presses: 0, toggles: 0, accidental: 0 }]));
+}
+
+// Feeds the states to the counter, each at the given time in microseconds
+function countStates(counter, modifiers, states) {
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(0);
+    for (const [state, time] of states) {
+        counter.now = time;
+        tracker.updateState(state);
+        counter.count(modifiers, tracker, 3);
+    }
+}
+
+function createCounter() {
+    const counter = new StatisticsCounter(() => counter.now);
+    return counter;
+}
+
+test('presses of held modifiers are counted', () => {
+    const modifiers = createModifiers();
+    countStates(createCounter(), modifiers, [[SHIFT, 0], [0, SECOND], [SHIFT, 2 * SECOND]]);
+
+    assertDeepEqual(modifiers.shift, { presses: 2, toggles: 0, accidental: 0 });
+});
+
+test('a lock toggled again within the threshold counts as accidental', () => {
+    const modifiers = createModifiers();
+    countStates(createCounter(), modifiers, [[LOCK, 0], [0, 2 * SECOND], [LOCK, 10 * SECOND]]);
+
+    assertDeepEqual(modifiers.caps, { presses: 2, toggles: 3, accidental: 1 });
+});
+
+test('reset forgets the last toggle', () => {
+    const modifiers = createModifiers();
+    const counter = createCounter();
+    countStates(counter, modifiers, [[LOCK, 0]]);
+    counter.reset();
+    countStates(counter, modifiers, [[LOCK, SECOND]]);
+
+    assertDeepEqual(modifiers.caps, { presses: 2, toggles: 2, accidental: 0 });
+});
+
+test('releases and unchanged modifiers count nothing', () => {
+    const modifiers = createModifiers();
+    const counter = createCounter();
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(0);
+    tracker.updateState(SHIFT);
+    assertEqual(counter.count(modifiers, tracker, 3), true);
+
+    tracker.updateState(0);
+    assertEqual(counter.count(modifiers, tracker, 3), false);
+    tracker.updateState(0);
+    assertEqual(counter.count(modifiers, tracker, 3), false);
+});
+
+test('lock changes made by the extension are not counted', () => {
+    const modifiers = createModifiers();
+    const counter = createCounter();
+    const tracker = new ModifierStateTracker();
+    tracker.updateState(0);
+    counter.now = 0;
+    tracker.updateState(LOCK);
+    assertEqual(counter.count(modifiers, tracker, 3, LOCK), false);
+
+    counter.now = SECOND;
+    tracker.updateState(0);
+    counter.count(modifiers, tracker, 3);
+
+    assertDeepEqual(modifiers.caps, { presses: 0, toggles: 1, accidental: 0 });
+});
@@ -0,0 +1,160 @@
+import { test, assertEqual, assertDeepEqual } from './harness.js';
+import { createMemorySettings } from './settings.js';
+import { CONFIG_KEYS, SettingsManager, SimpleManager, PresetManager } from '../lib/symbolSettings.js';
+
+const KEYS = CONFIG_KEYS.modifiers;
+
+// Stands in for the entry rows of the preferences window
+class FakeEntryManager {
+    constructor(texts = {}) {
+        this.texts = { ...texts };
+    }
+
+    updateEntry(key, value) {
+        this.texts[key] = value;
+    }
+
+    getEntryText(key) {
+        return this.texts[key] ?? '';
+    }
+
+    getAllEntryTexts(keys) {
+        return Object.fromEntries(keys.map(key => [key, this.getEntryText(key)]));
+    }
+}
+
+function createSettingsManager() {
+    const settings = createMemorySettings();
+    const settingsManager = new SettingsManager(settings);
+    settingsManager.initialize();
+    return { settings, settingsManager };
+}
+
+function createManagers() {
+    const { settings, settingsManager } = createSettingsManager();
+    const defaults = settingsManager.getSchemaDefaults(KEYS);
+    const simpleManager = new SimpleManager(settingsManager, KEYS, defaults);
+    const entryManager = new FakeEntryManager(settingsManager.currentSymbols);
+    return { settings, settingsManager, defaults, simpleManager, entryManager };
+}
+
+function valuesOf(symbols) {
+    return Object.fromEntries(KEYS.map((key, i) => [key, symbols[i]]));
+}
+
+test('current symbols start from the schema defaults', () => {
+    const { settingsManager } = createSettingsManager();
+
+    assertDeepEqual(Object.values(settingsManager.currentSymbols), settingsManager.getSchemaDefaults(KEYS));
+    assertDeepEqual(settingsManager.savedSymbols, {});
+});
+
+test('symbol comparison treats missing symbols as empty', () => {
+    const { settingsManager } = createSettingsManager();
+
+    assertEqual(settingsManager.symbolsEqual({ a: '', b: 'x' }, { a: undefined, b: 'x' }), true);
+    assertEqual(settingsManager.symbolsEqual({ a: 'x' }, { a: 'y' }), false);
+    assertEqual(settingsManager.symbolsEqual({ a: 'x' }, { a: 'x', b: '' }), false);
+});
+
+test('saving the entries stores them in the settings and as saved symbols', () => {
+    const { settings, settingsManager, simpleManager, entryManager } = createManagers();
+
+    entryManager.updateEntry('shift-symbol', 'S');
+    assertEqual(simpleManager.isCurrentEqualToSaved(entryManager), false);
+
+    simpleManager.saveCurrentAsPreset(entryManager);
+
+    assertEqual(settings.get_string('shift-symbol'), 'S');
+    assertEqual(settings.get_value('saved-symbols').deep_unpack()['shift-symbol'], 'S');
+    assertEqual(settingsManager.currentSymbols['shift-symbol'], 'S');
+    assertEqual(simpleManager.isCurrentEqualToSaved(entryManager), true);
+    assertEqual(settingsManager.currentDiffersFromSaved(KEYS), false);
+});
+
+test('restoring the defaults brings back the schema symbols', () => {
+    const { settings, simpleManager, entryManager } = createManagers();
+
+    entryManager.updateEntry('caps-symbol', 'C');
+    simpleManager.saveCurrentAsPreset(entryManager);
+    assertEqual(simpleManager.isCurrentEqualToDefault(entryManager), false);
+
+    simpleManager.applyDefaults(entryManager);
+    simpleManager.saveCurrentAsPreset(entryManager);
+
+    assertEqual(simpleManager.isCurrentEqualToDefault(entryManager), true);
+    assertEqual(settings.get_string('caps-symbol'), settings.get_default_value('caps-symbol').deep_unpack());
+});
+
+test('applying values fills missing symbols with empty strings', () => {
+    const { settings, simpleManager, entryManager } = createManagers();
+
+    simpleManager.applyValues(entryManager, { 'shift-symbol': 'S' });
+
+    assertEqual(settings.get_string('shift-symbol'), 'S');
+    assertEqual(settings.get_string('caps-symbol'), '');
+    assertEqual(entryManager.getEntryText('altgr-symbol'), '');
+});
+
+test('user presets are saved, listed, matched and deleted', () => {
+    const { settings, settingsManager } = createSettingsManager();
+    const builtin = new Map([['plain', { label: 'Plain', values: KEYS.map(key => key.replace('-symbol', '')) }]]);
+    const presetManager = new PresetManager(settingsManager, KEYS, builtin);
+
+    const mine = valuesOf(['1', '2', '3', '4', '5', '6', '7', '8']);
+    presetManager.savePreset('Mine', mine);
+    presetManager.savePreset('Another', valuesOf(['a', '', '', '', '', '', '', '']));
+
+    assertDeepEqual(presetManager.getNames(), ['plain', 'Another', 'Mine']);
+    assertDeepEqual(presetManager.getValues('Mine'), mine);
+    assertEqual(presetManager.findMatching(mine), 'Mine');
+    assertEqual(presetManager.findMatching(presetManager.getValues('plain')), 'plain');
+    assertEqual(presetManager.findMatching(valuesOf(['x', '', '', '', '', '', '', ''])), null);
+
+    presetManager.deletePreset('Mine');
+    assertDeepEqual(Object.keys(settings.get_value('symbol-presets').deep_unpack()), ['Another']);
+    assertEqual(presetManager.getValues('Mine'), null);
+});
+
+test('a user preset with a built-in name does not shadow the built-in one', () => {
+    const { settingsManager } = createSettingsManager();
+    const builtinValues = KEYS.map(() => 'b');
+    const presetManager = new PresetManager(settingsManager, KEYS,
+        new Map([['builtin', { label: 'Built-in', values: builtinValues }]]));
+
+    presetManager.savePreset('builtin', valuesOf(KEYS.map(() => 'u')));
+
+    assertDeepEqual(presetManager.getNames(), ['builtin']);
+    assertDeepEqual(presetManager.getValues('builtin'), valuesOf(builtinValues));
+});
+
+test('built-in presets are identified by id and shown by label', () => {
+    const { settingsManager } = createSettingsManager();
+    const presetManager = new PresetManager(settingsManager, KEYS,
+        new Map([['default', { label: 'Výchozí', values: KEYS.map(() => 'b') }]]));
+
+    presetManager.savePreset('Default', valuesOf(KEYS.map(() => 'u')));
+
+    assertDeepEqual(presetManager.getNames(), ['default', 'Default']);
+    assertEqual(presetManager.isBuiltin('Výchozí'), false);
+    assertEqual(presetManager.isReservedName('Výchozí'), true);
+    assertEqual(presetManager.isReservedName('default'), true);
+    assertEqual(presetManager.isReservedName('Default'), false);
+    assertEqual(presetManager.getLabel('default'), 'Výchozí');
+    assertEqual(presetManager.getLabel('Default'), 'Default');
+});
+
+test('a restored preset round-trips through the settings', () => {
+    const { settings, settingsManager, simpleManager, entryManager } = createManagers();
+    const presetManager = new PresetManager(settingsManager, KEYS, new Map());
+
+    const saved = valuesOf(['⇧', 'A', 'B', 'C', 'D', 'E', 'F', 'G']);
+    presetManager.savePreset('Saved', saved);
+    simpleManager.applyDefaults(entryManager);
+    simpleManager.saveCurrentAsPreset(entryManager);
+
+    simpleManager.applyValues(entryManager, presetManager.getValues('Saved'));
+
+    assertDeepEqual(Object.fromEntries(KEYS.map(key => [key, settings.get_string(key)])), saved);
+    assertEqual(presetManager.findMatching(settingsManager.currentSymbols), 'Saved');
+});